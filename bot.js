@@ -0,0 +1,202 @@
+/*
+ * Computer opponent
+ *
+ * A small alpha‑beta searcher that plays on top of a SimpleChess
+ * instance.  Positions are scored by material plus piece‑square tables
+ * that reward centralised knights, advanced pawns, a sheltered king and
+ * so on.  Difficulty levels differ in search depth and in how much
+ * random noise is added to the scores, which makes the weaker levels
+ * miss things a human would.
+ *
+ * The search makes and takes back moves on the engine it is given with
+ * _makeMove()/undo(), so the position is unchanged when it returns.
+ * It runs on the server's main thread, so it deepens one ply at a time
+ * and stops once its time budget is spent, playing the best move of the
+ * deepest search it completed.  Each level's `timeMs` is that budget,
+ * sized so the search normally reaches the level's full depth.
+ */
+
+export const BOT_LEVELS = {
+  easy: { depth: 1, noise: 200, timeMs: 250 },
+  medium: { depth: 2, noise: 40, timeMs: 750 },
+  hard: { depth: 3, noise: 0, timeMs: 2000 },
+};
+
+const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+
+const MATE_SCORE = 100000;
+
+// Nodes searched between two looks at the clock.
+const CLOCK_CHECK_NODES = 16;
+
+// Piece‑square tables from white's point of view, rank 8 first (the same
+// orientation as SimpleChess.board).  Black reads them mirrored.
+const PST = {
+  p: [
+    [0, 0, 0, 0, 0, 0, 0, 0],
+    [50, 50, 50, 50, 50, 50, 50, 50],
+    [10, 10, 20, 30, 30, 20, 10, 10],
+    [5, 5, 10, 25, 25, 10, 5, 5],
+    [0, 0, 0, 20, 20, 0, 0, 0],
+    [5, -5, -10, 0, 0, -10, -5, 5],
+    [5, 10, 10, -20, -20, 10, 10, 5],
+    [0, 0, 0, 0, 0, 0, 0, 0],
+  ],
+  n: [
+    [-50, -40, -30, -30, -30, -30, -40, -50],
+    [-40, -20, 0, 0, 0, 0, -20, -40],
+    [-30, 0, 10, 15, 15, 10, 0, -30],
+    [-30, 5, 15, 20, 20, 15, 5, -30],
+    [-30, 0, 15, 20, 20, 15, 0, -30],
+    [-30, 5, 10, 15, 15, 10, 5, -30],
+    [-40, -20, 0, 5, 5, 0, -20, -40],
+    [-50, -40, -30, -30, -30, -30, -40, -50],
+  ],
+  b: [
+    [-20, -10, -10, -10, -10, -10, -10, -20],
+    [-10, 0, 0, 0, 0, 0, 0, -10],
+    [-10, 0, 5, 10, 10, 5, 0, -10],
+    [-10, 5, 5, 10, 10, 5, 5, -10],
+    [-10, 0, 10, 10, 10, 10, 0, -10],
+    [-10, 10, 10, 10, 10, 10, 10, -10],
+    [-10, 5, 0, 0, 0, 0, 5, -10],
+    [-20, -10, -10, -10, -10, -10, -10, -20],
+  ],
+  r: [
+    [0, 0, 0, 0, 0, 0, 0, 0],
+    [5, 10, 10, 10, 10, 10, 10, 5],
+    [-5, 0, 0, 0, 0, 0, 0, -5],
+    [-5, 0, 0, 0, 0, 0, 0, -5],
+    [-5, 0, 0, 0, 0, 0, 0, -5],
+    [-5, 0, 0, 0, 0, 0, 0, -5],
+    [-5, 0, 0, 0, 0, 0, 0, -5],
+    [0, 0, 0, 5, 5, 0, 0, 0],
+  ],
+  q: [
+    [-20, -10, -10, -5, -5, -10, -10, -20],
+    [-10, 0, 0, 0, 0, 0, 0, -10],
+    [-10, 0, 5, 5, 5, 5, 0, -10],
+    [-5, 0, 5, 5, 5, 5, 0, -5],
+    [0, 0, 5, 5, 5, 5, 0, -5],
+    [-10, 5, 5, 5, 5, 5, 0, -10],
+    [-10, 0, 5, 0, 0, 0, 0, -10],
+    [-20, -10, -10, -5, -5, -10, -10, -20],
+  ],
+  k: [
+    [-30, -40, -40, -50, -50, -40, -40, -30],
+    [-30, -40, -40, -50, -50, -40, -40, -30],
+    [-30, -40, -40, -50, -50, -40, -40, -30],
+    [-30, -40, -40, -50, -50, -40, -40, -30],
+    [-20, -30, -30, -40, -40, -30, -30, -20],
+    [-10, -20, -20, -20, -20, -20, -20, -10],
+    [20, 20, 0, 0, 0, 0, 20, 20],
+    [20, 30, 10, 0, 0, 10, 30, 20],
+  ],
+};
+
+/**
+ * Static evaluation of the position from the point of view of the side
+ * to move, in centipawns.
+ */
+function evaluate(engine) {
+  let score = 0;
+  for (let r = 0; r < 8; r++) {
+    for (let c = 0; c < 8; c++) {
+      const piece = engine.board[r][c];
+      if (!piece) continue;
+      const type = piece.toLowerCase();
+      const isWhite = piece !== type;
+      const value = PIECE_VALUES[type] + PST[type][isWhite ? r : 7 - r][c];
+      score += isWhite ? value : -value;
+    }
+  }
+  return engine.turn() === 'w' ? score : -score;
+}
+
+/**
+ * Order moves so the search looks at the most forcing ones first:
+ * promotions, then captures of valuable pieces by cheap ones.
+ */
+function orderMoves(moves) {
+  const weight = mv =>
+    (mv.promotion ? PIECE_VALUES[mv.promotion] : 0) +
+    (mv.captured ? 10 * PIECE_VALUES[mv.captured] - PIECE_VALUES[mv.piece] : 0);
+  return moves.sort((a, b) => weight(b) - weight(a));
+}
+
+/**
+ * Negamax search with alpha‑beta pruning.  Returns the score of the
+ * position for the side to move.  Mates found closer to the root score
+ * higher so the bot takes the quickest win.  Once `budget` runs out it
+ * sets `budget.expired` and unwinds; the score is meaningless then.
+ */
+function search(engine, depth, alpha, beta, ply, budget) {
+  if (++budget.nodes % CLOCK_CHECK_NODES === 0 && Date.now() > budget.deadline) budget.expired = true;
+  if (budget.expired) return 0;
+  const moves = engine.moves({ verbose: true });
+  if (moves.length === 0) {
+    return engine.in_check() ? -MATE_SCORE + ply : 0;
+  }
+  if (depth === 0) return evaluate(engine);
+  for (const mv of orderMoves(moves)) {
+    engine._makeMove(mv);
+    const score = -search(engine, depth - 1, -beta, -alpha, ply + 1, budget);
+    engine.undo();
+    if (budget.expired) return 0;
+    if (score >= beta) return beta;
+    if (score > alpha) alpha = score;
+  }
+  return alpha;
+}
+
+/**
+ * Score every root move to `depth` and return the best one, or null if
+ * the budget ran out first.
+ */
+function searchRoot(engine, moves, depth, noise, budget) {
+  let best = null;
+  let bestScore = -Infinity;
+  for (const mv of moves) {
+    // Without noise, moves that cannot beat the best so far are cut off
+    // early; with noise every move needs its exact score.
+    const bound = noise || bestScore === -Infinity ? Infinity : -bestScore;
+    engine._makeMove(mv);
+    let score = -search(engine, depth - 1, -Infinity, bound, 1, budget);
+    engine.undo();
+    if (budget.expired) return null;
+    score += (Math.random() - 0.5) * noise;
+    if (score > bestScore) {
+      bestScore = score;
+      best = mv;
+    }
+  }
+  return best;
+}
+
+/**
+ * Pick a move for the side to move.
+ *
+ * @param {object} engine SimpleChess instance (left unchanged)
+ * @param {string} level One of the BOT_LEVELS keys
+ * @param {object} [options]
+ * @param {number} [options.timeMs] Time budget for the search in
+ *   milliseconds; defaults to the level's
+ * @returns {object|null} A verbose legal move, or null if there is none
+ */
+export function chooseMove(engine, level, options = {}) {
+  const { depth, noise, timeMs: levelTimeMs } = BOT_LEVELS[level] || BOT_LEVELS.medium;
+  const { timeMs = levelTimeMs } = options;
+  const moves = orderMoves(engine.moves({ verbose: true }));
+  if (!moves.length) return null;
+  const budget = { deadline: Date.now() + timeMs, nodes: 0, expired: false };
+  let best = moves[0];
+  for (let d = 1; d <= depth; d++) {
+    const found = searchRoot(engine, moves, d, noise, budget);
+    if (!found) break;
+    best = found;
+    // Search the best move first next time round, for earlier cut‑offs
+    moves.splice(moves.indexOf(found), 1);
+    moves.unshift(found);
+  }
+  return best;
+}
@@ -0,0 +1,73 @@
+/*
+ * Real‑time updates over Server‑Sent Events
+ *
+ * Clients open a long‑lived GET request (EventSource in the browser) on
+ * a channel such as a game or their own match status, and the server
+ * pushes named events down it instead of the client polling.  Each
+ * event is written as
+ *
+ *   event: <name>
+ *   data: <JSON payload>
+ *
+ * A comment line is sent every HEARTBEAT_MS so proxies do not close idle
+ * connections.
+ */
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// channel name -> Set of open responses
+const channels = new Map();
+
+function write(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Turn an Express request into an event stream subscribed to `channel`.
+ * `initial` is sent straight away as the first event so the client
+ * starts from the current state; pass a function returning the event to
+ * build it once the new subscriber is counted (see subscriberCount()).
+ * The subscription ends when the client disconnects.
+ *
+ * @param {string} channel Channel name, e.g. `game:<id>`
+ * @param {object} req Express request
+ * @param {object} res Express response
+ * @param {{ event: string, data: any } | (() => { event: string, data: any })} [initial]
+ *   First event to send
+ */
+export function subscribe(channel, req, res, initial) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write('\n');
+  if (!channels.has(channel)) channels.set(channel, new Set());
+  const subscribers = channels.get(channel);
+  subscribers.add(res);
+  const first = typeof initial === 'function' ? initial() : initial;
+  if (first) write(res, first.event, first.data);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscribers.delete(res);
+    if (subscribers.size === 0) channels.delete(channel);
+  });
+}
+
+/**
+ * Send an event to every subscriber of `channel`.  Does nothing when
+ * nobody is listening.
+ */
+export function publish(channel, event, data) {
+  const subscribers = channels.get(channel);
+  if (!subscribers) return;
+  for (const res of subscribers) write(res, event, data);
+}
+
+/**
+ * Number of open subscriptions on a channel.
+ */
+export function subscriberCount(channel) {
+  return channels.get(channel)?.size ?? 0;
+}
@@ -0,0 +1,131 @@
+/*
+ * Telegram notifications
+ *
+ * Sends players a private message from the bot when something happens
+ * while they are not looking at the web‑app: a match was found, it is
+ * their turn, or a game finished.  Messages go through the Bot API
+ * sendMessage method; the API base URL is configurable so a local
+ * stand‑in can be used instead of api.telegram.org.
+ *
+ * Notifications are best effort.  Failures (the player never started
+ * the bot, blocked it, the network is down) are logged and otherwise
+ * ignored, so they can never break a game.
+ *
+ * Each message has a kind, one of NOTIFICATION_KINDS, which players can
+ * mute individually.
+ */
+
+export const NOTIFICATION_KINDS = ['match', 'turn', 'result'];
+
+export const DEFAULT_API_BASE = 'https://api.telegram.org';
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const COLOR_NAMES = { w: 'white', b: 'black' };
+
+/**
+ * Only real Telegram users can be messaged; the computer opponent
+ * (`bot:<level>`) and unverified development ids are skipped.
+ */
+function isTelegramUser(userId) {
+  return /^\d+$/.test(userId);
+}
+
+function formatChange(change) {
+  if (change === null || change === undefined) return '';
+  return ` (${change >= 0 ? '+' : ''}${change})`;
+}
+
+export class Notifier {
+  /**
+   * @param {object} options
+   * @param {string} options.token Bot token
+   * @param {string} [options.apiBase] Bot API base URL
+   * @param {(userId: string, kind: string) => boolean} [options.isMuted]
+   *   Whether the player has muted this kind of message
+   * @param {(gameId: string) => string|null} [options.gameLink] Deep link
+   *   that opens a game in the web‑app, added as a button when available
+   */
+  constructor({ token, apiBase = DEFAULT_API_BASE, isMuted = () => false, gameLink = () => null }) {
+    this.token = token;
+    this.apiBase = apiBase.replace(/\/+$/, '');
+    this.isMuted = isMuted;
+    this.gameLink = gameLink;
+  }
+
+  /**
+   * Send `text` to a player unless they muted `kind`.  Resolves to
+   * whether the message was delivered.
+   */
+  async send(userId, kind, text, gameId) {
+    if (!isTelegramUser(userId) || this.isMuted(userId, kind)) return false;
+    const body = { chat_id: userId, text };
+    const link = gameId ? this.gameLink(gameId) : null;
+    if (link) body.reply_markup = { inline_keyboard: [[{ text: 'Open game', url: link }]] };
+    try {
+      const res = await fetch(`${this.apiBase}/bot${this.token}/sendMessage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || !data.ok) {
+        console.warn(`notification to ${userId} failed: ${data.description || res.status}`);
+        return false;
+      }
+      return true;
+    } catch (e) {
+      console.warn(`notification to ${userId} failed: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Tell both players of a new game who they play and with which colour.
+   */
+  matchFound(game) {
+    for (const color of ['w', 'b']) {
+      const opponent = game.players[color === 'w' ? 'b' : 'w'];
+      const rating = opponent.rating === null ? '' : ` (${opponent.rating})`;
+      this.send(
+        game.players[color].id,
+        'match',
+        `Match found! You play ${COLOR_NAMES[color]} against ${opponent.name}${rating}, ${game.clock.control}.`,
+        game.id,
+      );
+    }
+  }
+
+  /**
+   * Tell the player to move what their opponent just played.  Nothing is
+   * sent in games against the computer, which replies straight away.
+   * The caller skips this while the game is open in the web‑app.
+   */
+  turn(game, move) {
+    if (game.over || game.bot) return;
+    const color = game.engine.turn();
+    const opponent = game.players[color === 'w' ? 'b' : 'w'];
+    this.send(game.players[color].id, 'turn', `${opponent.name} played ${move.san}. Your move!`, game.id);
+  }
+
+  /**
+   * Tell both players how a game ended and how their rating changed.
+   */
+  gameOver(game) {
+    const { result } = game;
+    for (const color of ['w', 'b']) {
+      const player = game.players[color];
+      const opponent = game.players[color === 'w' ? 'b' : 'w'];
+      if (result.reason === 'aborted') {
+        this.send(player.id, 'result', `Your game with ${opponent.name} was aborted.`, game.id);
+        continue;
+      }
+      let outcome = `Draw with ${opponent.name}`;
+      if (result.winnerId === player.id) outcome = `You won against ${opponent.name}`;
+      else if (result.winnerId) outcome = `You lost to ${opponent.name}`;
+      const change = formatChange(result.ratingChange?.[color]);
+      this.send(player.id, 'result', `${outcome} by ${result.reason}${change}.`, game.id);
+    }
+  }
+}
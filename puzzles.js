@@ -0,0 +1,98 @@
+/*
+ * Puzzle set
+ *
+ * Puzzles are read from a JSON file holding an array of
+ *   { id, fen, moves, rating, themes? }
+ * where `fen` is the starting position with the solver to move, `moves`
+ * the solution in UCI (`e2e4`, `e7e8q`) alternating between the solver
+ * and the opponent's replies and ending with a solver move, and `rating`
+ * the puzzle's difficulty on the same scale as player ratings.
+ *
+ * This module only checks the shape of each entry.  Whether the moves
+ * are legal is up to the caller, which has the chess engine.
+ */
+
+import fs from 'fs';
+
+const UCI_RE = /^[a-h][1-8][a-h][1-8][qrbn]?$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// pickPuzzle() chooses at random among this many puzzles closest to the
+// player's rating, so players of equal rating do not all get the same
+// sequence.
+const PICK_POOL = 5;
+
+function isPuzzle(entry) {
+  return (
+    entry &&
+    typeof entry.id === 'string' &&
+    entry.id.length > 0 &&
+    typeof entry.fen === 'string' &&
+    Array.isArray(entry.moves) &&
+    entry.moves.length % 2 === 1 &&
+    entry.moves.every(move => typeof move === 'string' && UCI_RE.test(move)) &&
+    Number.isFinite(entry.rating) &&
+    (entry.themes === undefined || (Array.isArray(entry.themes) && entry.themes.every(t => typeof t === 'string')))
+  );
+}
+
+/**
+ * Read the puzzle set from `file`.  A missing file gives an empty set;
+ * malformed entries and duplicate ids are skipped with a warning.
+ *
+ * @param {string} file Path of the JSON puzzle file
+ * @returns {Array<{ id: string, fen: string, moves: string[], rating: number, themes: string[] }>}
+ */
+export function loadPuzzles(file) {
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+    console.warn(`puzzle file ${file} not found: puzzles are disabled`);
+    return [];
+  }
+  if (!Array.isArray(entries)) throw new Error(`puzzle file ${file} must hold an array`);
+  const seen = new Set();
+  const puzzles = [];
+  entries.forEach((entry, i) => {
+    if (!isPuzzle(entry) || seen.has(entry.id)) {
+      console.warn(`skipping malformed puzzle #${i} in ${file}`);
+      return;
+    }
+    seen.add(entry.id);
+    puzzles.push({ id: entry.id, fen: entry.fen, moves: entry.moves, rating: entry.rating, themes: entry.themes ?? [] });
+  });
+  return puzzles;
+}
+
+/**
+ * The UTC date of `now` as `YYYY-MM-DD`, the key of the daily puzzle.
+ */
+export function dayKey(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * The puzzle of the day: every UTC day moves one step through the set,
+ * so all players get the same puzzle on the same day.
+ */
+export function dailyPuzzle(puzzles, now = Date.now()) {
+  if (!puzzles.length) return null;
+  return puzzles[Math.floor(now / DAY_MS) % puzzles.length];
+}
+
+/**
+ * Choose a puzzle for a player rated `rating`, preferring the ones whose
+ * ids are not in `done`.  Once every puzzle is done, any may come again.
+ */
+export function pickPuzzle(puzzles, rating, done = new Set()) {
+  const fresh = puzzles.filter(p => !done.has(p.id));
+  const pool = (fresh.length ? fresh : puzzles)
+    .slice()
+    .sort((a, b) => Math.abs(a.rating - rating) - Math.abs(b.rating - rating))
+    .slice(0, PICK_POOL);
+  if (!pool.length) return null;
+  return pool[Math.floor(Math.random() * pool.length)];
+}
@@ -0,0 +1,81 @@
+/*
+ * Request rate limiting
+ *
+ * Each limiter is a budget of requests per time window, counted
+ * separately for every client IP and, on routes that know who is
+ * calling, for every player.  A window starts with a client's first
+ * request and holds `limit` requests (`ipLimit` per IP, which is larger
+ * since many players can share one address); further requests are
+ * rejected with 429 Too Many Requests and a Retry-After header until
+ * the window ends.
+ *
+ * Counters live in process memory and are dropped once their window is
+ * over.
+ */
+
+const CLEANUP_MS = 60 * 1000;
+
+/**
+ * Parse a budget written as `<requests>/<seconds>`, e.g. `20/60`.
+ * Returns `fallback` when the spec is missing or malformed.
+ *
+ * @param {string|undefined} spec Budget, usually from an env variable
+ * @param {{ limit: number, windowMs: number }} fallback Default budget
+ */
+export function parseBudget(spec, fallback) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(spec || '');
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) return fallback;
+  return { limit: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+}
+
+/**
+ * Create a rate limiter.  It has two middlewares: `ip`, which counts the
+ * request against the client IP's budget, and `player`, which counts it
+ * against the calling player's own budget.  Put `ip` before
+ * `authenticate`, so requests that fail authentication are counted too,
+ * and `player` after it; without `req.player` it lets requests through.
+ *
+ * @param {object} options
+ * @param {string} options.name Budget name, reported in the 429 body
+ * @param {number} options.limit Requests per window for each player
+ * @param {number} options.windowMs Window length in milliseconds
+ * @param {number} [options.ipLimit] Requests per window for each IP
+ * @returns {{ ip: Function, player: Function }} Express middlewares
+ */
+export function rateLimit({ name, limit, windowMs, ipLimit = limit }) {
+  // key -> { count, resetAt }
+  const counters = new Map();
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, CLEANUP_MS);
+
+  // Count a request against `key`; returns the seconds to wait when the
+  // budget is spent, or 0 if the request may go ahead.
+  function hit(key, max, now) {
+    let counter = counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      counters.set(key, counter);
+    }
+    counter.count++;
+    return counter.count > max ? Math.ceil((counter.resetAt - now) / 1000) : 0;
+  }
+
+  function check(key, max, res, next) {
+    const wait = hit(key, max, Date.now());
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      res.status(429).json({ error: 'too many requests', budget: name, retryAfter: wait });
+      return;
+    }
+    next();
+  }
+
+  return {
+    ip: (req, res, next) => check(`ip:${req.ip}`, ipLimit, res, next),
+    player: (req, res, next) => (req.player ? check(`player:${req.player.id}`, limit, res, next) : next()),
+  };
+}
@@ -0,0 +1,135 @@
+/*
+ * Glicko‑2 rating system
+ *
+ * Implements Mark Glickman's Glicko‑2 algorithm
+ * (http://www.glicko.net/glicko/glicko2.pdf).  Each player has a rating,
+ * a rating deviation (RD, how uncertain we are about the rating) and a
+ * volatility (how erratic their results are).  Every game is treated as
+ * its own rating period, so ratings move immediately after a result.
+ * Players whose RD is still above PROVISIONAL_RD are considered
+ * provisional: they have not played enough games for their rating to be
+ * trusted.
+ */
+
+export const DEFAULT_RATING = 1500;
+export const DEFAULT_RD = 350;
+export const DEFAULT_VOLATILITY = 0.06;
+
+// RD above which a rating is shown as provisional.
+export const PROVISIONAL_RD = 110;
+
+// RD never drops below this, so established players still move a little.
+const MIN_RD = 30;
+
+// System constant constraining volatility changes; 0.3 to 1.2 is
+// reasonable, lower values keep volatility steadier.
+const TAU = 0.5;
+
+// Conversion factor between the Glicko and Glicko‑2 scales.
+const SCALE = 173.7178;
+
+// Convergence tolerance for the volatility iteration.
+const EPSILON = 0.000001;
+
+/**
+ * Create the rating record for a new player.
+ *
+ * @param {number} [rating] Starting rating, 1500 by default
+ * @returns {{ rating: number, rd: number, vol: number, games: number }}
+ */
+export function newRating(rating = DEFAULT_RATING) {
+  return { rating, rd: DEFAULT_RD, vol: DEFAULT_VOLATILITY, games: 0 };
+}
+
+/**
+ * Whether a rating record is still provisional.
+ */
+export function isProvisional(record) {
+  return record.rd > PROVISIONAL_RD;
+}
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, muOpp, phiOpp) {
+  return 1 / (1 + Math.exp(-g(phiOpp) * (mu - muOpp)));
+}
+
+/**
+ * New volatility (step 5 of the paper), found with the Illinois variant
+ * of regula falsi.
+ */
+function updatedVolatility(phi, sigma, delta, v) {
+  const a = Math.log(sigma * sigma);
+  const f = x => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - d)) / (2 * d * d) - (x - a) / (TAU * TAU);
+  };
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > EPSILON) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  return Math.exp(A / 2);
+}
+
+/**
+ * Rate a player after a single game.
+ *
+ * @param {object} player Rating record of the player being rated
+ * @param {object} opponent Rating record of their opponent before the game
+ * @param {number} score 1 for a win, 0.5 for a draw, 0 for a loss
+ * @returns {object} The player's new rating record
+ */
+export function rate(player, opponent, score) {
+  const mu = (player.rating - DEFAULT_RATING) / SCALE;
+  const phi = player.rd / SCALE;
+  const muOpp = (opponent.rating - DEFAULT_RATING) / SCALE;
+  const phiOpp = opponent.rd / SCALE;
+  const gOpp = g(phiOpp);
+  const E = expectedScore(mu, muOpp, phiOpp);
+  const v = 1 / (gOpp * gOpp * E * (1 - E));
+  const delta = v * gOpp * (score - E);
+  const vol = updatedVolatility(phi, player.vol, delta, v);
+  const phiStar = Math.sqrt(phi * phi + vol * vol);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * gOpp * (score - E);
+  return {
+    rating: newMu * SCALE + DEFAULT_RATING,
+    rd: Math.min(DEFAULT_RD, Math.max(MIN_RD, newPhi * SCALE)),
+    vol,
+    games: (player.games || 0) + 1,
+  };
+}
+
+/**
+ * Rate both players of a finished game.
+ *
+ * @param {object} a Rating record of the first player
+ * @param {object} b Rating record of the second player
+ * @param {number} scoreA The first player's score (1, 0.5 or 0)
+ * @returns {{ a: object, b: object }} New rating records for both players
+ */
+export function rateGame(a, b, scoreA) {
+  return { a: rate(a, b, scoreA), b: rate(b, a, 1 - scoreA) };
+}
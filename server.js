@@ -5,10 +5,16 @@ import cors from 'cors';
 // long‑polling, which caused runtime errors (EFATAL) in some
 // environments.  Since the game logic uses only HTTP endpoints
 // to communicate with clients, we no longer instantiate a
-// node‑telegram‑bot‑api client here.  If you wish to use bot
-// features (e.g. push notifications), you can add Telegram bot
-// logic separately outside of this server.
+// node‑telegram‑bot‑api client here.  Push notifications are sent
+// by notifier.js, which calls the Bot API over plain HTTP.
 import crypto from 'crypto';
+import { newRating, rate, rateGame, isProvisional } from './rating.js';
+import { createDriver, PersistentMap } from './storage.js';
+import { subscribe, publish, subscriberCount } from './events.js';
+import { BOT_LEVELS, chooseMove } from './bot.js';
+import { Notifier, NOTIFICATION_KINDS, DEFAULT_API_BASE } from './notifier.js';
+import { rateLimit, parseBudget } from './ratelimit.js';
+import { loadPuzzles, dailyPuzzle, dayKey, pickPuzzle } from './puzzles.js';
 
 /*
  * TelegramChess server
@@ -16,37 +22,82 @@ import crypto from 'crypto';
  * This server exposes a simple REST API for matchmaking, game state
  * management and rating persistence.  It is designed to be used with
  * the TelegramChess web‑app.  Players send HTTP requests to find
- * opponents, make moves and query game/rating state.  All state is
- * held in memory; if you plan to run this in production you should
- * back the maps with a database or at least persist them to disk.
+ * opponents, make moves and query game/rating state.  State is held
+ * in memory by default; set STORAGE_DRIVER=file to persist it to disk
+ * so ratings and games survive restarts.
  */
 
 // ---------------------------------------------------------------------------
 // Environment configuration
 //
 // BOT_TOKEN must be set to the token of your Telegram bot (obtained from
-// @BotFather).  ALLOWED_ORIGINS controls which front‑end hosts may call
-// this API.  PORT is optionally set by the hosting platform; if not
-// provided, the server will listen on 8080.
+// @BotFather); it is used to verify the signed WebApp initData that
+// identifies players.  For local development only, ALLOW_INSECURE_AUTH=1
+// lets the server run without BOT_TOKEN and take player ids from the
+// request body unverified.  INIT_DATA_MAX_AGE is how long (in seconds) a
+// signed initData stays valid, one day by default.  STORAGE_DRIVER picks
+// where state is kept: 'memory' (the default, lost on restart) or 'file'
+// (JSON files under DATA_DIR, ./data by default).  BOT_USERNAME and
+// WEBAPP_NAME (the Mini App short name, optional) are used to build
+// t.me deep links for challenges and notifications.  TELEGRAM_API_BASE
+// is the Bot API base URL used for notifications (api.telegram.org by
+// default; point it at a local stand‑in for testing).  GAME_RETENTION is
+// how long (in seconds) finished games are kept in full before they are
+// archived, one week by default; ARCHIVE_RETENTION (in seconds, 90 days
+// by default) and ARCHIVE_MAX_GAMES (10000 by default) bound how long and
+// how many archived games are kept after that.  RATE_LIMIT_MATCHMAKING,
+// RATE_LIMIT_MOVES and RATE_LIMIT_READS override the request budgets
+// (see Rate limiting below) as `<requests>/<seconds>`;
+// RATE_LIMIT_IP_FACTOR is how many players' worth of requests one IP
+// may send.  Set TRUST_PROXY (e.g. to 1) when running behind a reverse
+// proxy so client IPs are taken from X-Forwarded-For.  PUZZLES_FILE is
+// the JSON file the puzzle set is read from (./puzzles.json by default,
+// see puzzles.js).  ALLOWED_ORIGINS controls which front‑end hosts may
+// call this API.  PORT is optionally set by the hosting platform; if
+// not provided, the server will listen on 8080.
 
 const BOT_TOKEN = process.env.BOT_TOKEN;
+const ALLOW_INSECURE_AUTH = process.env.ALLOW_INSECURE_AUTH === '1';
+const INIT_DATA_MAX_AGE = Number(process.env.INIT_DATA_MAX_AGE) || 24 * 60 * 60;
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+const DATA_DIR = process.env.DATA_DIR || 'data';
+const BOT_USERNAME = process.env.BOT_USERNAME;
+const WEBAPP_NAME = process.env.WEBAPP_NAME;
+const TELEGRAM_API_BASE = process.env.TELEGRAM_API_BASE || DEFAULT_API_BASE;
+const GAME_RETENTION = Number(process.env.GAME_RETENTION) || 7 * 24 * 60 * 60;
+const ARCHIVE_RETENTION = Number(process.env.ARCHIVE_RETENTION) || 90 * 24 * 60 * 60;
+const ARCHIVE_MAX_GAMES = Number(process.env.ARCHIVE_MAX_GAMES) || 10000;
+const RATE_LIMIT_IP_FACTOR = Number(process.env.RATE_LIMIT_IP_FACTOR) || 5;
+const TRUST_PROXY = process.env.TRUST_PROXY;
+const PUZZLES_FILE = process.env.PUZZLES_FILE || 'puzzles.json';
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS || '*';
 const port = Number(process.env.PORT) || 8080;
 
 if (!BOT_TOKEN) {
-  // BOT_TOKEN is optional when not using node‑telegram‑bot‑api.  We
-  // warn instead of exiting so the HTTP server can still start.
-  console.warn('BOT_TOKEN is not set: Telegram bot functionality disabled');
+  // Without BOT_TOKEN players cannot be verified.  The server still
+  // starts, but requests that need a player are refused unless insecure
+  // authentication was explicitly allowed for local development.
+  console.warn('BOT_TOKEN is not set: Telegram bot functionality and initData verification disabled');
+  if (ALLOW_INSECURE_AUTH) {
+    console.warn('*'.repeat(72));
+    console.warn('WARNING: ALLOW_INSECURE_AUTH is on.  Player ids are taken from request');
+    console.warn('bodies WITHOUT VERIFICATION: anyone can act as any player.  Never use');
+    console.warn('this setting in production.');
+    console.warn('*'.repeat(72));
+  } else {
+    console.warn('Requests that need a player will be refused; set ALLOW_INSECURE_AUTH=1 for local development');
+  }
 }
 
 // Removed TelegramBot instantiation and webhook deletion.  This server
-// communicates solely via HTTP endpoints and does not interact with
-// the Telegram Bot API directly.  To send messages via a bot, you
-// can integrate node‑telegram‑bot‑api in a separate module.
+// communicates with clients solely via HTTP endpoints; the only Bot API
+// calls are the optional notifications sent by `notifier` (see the
+// Notifications section below).
 
 // Express application setup
 const app = express();
-app.use(express.json());
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+app.use(express.json({ limit: '16kb' }));
 app.use(
   cors({
     origin: (origin, cb) => {
@@ -63,58 +114,353 @@ app.use(
 );
 
 // ---------------------------------------------------------------------------
-// In‑memory state
+// Telegram authentication
+//
+// The web‑app receives a signed `initData` query string from Telegram.
+// Clients send it with every mutating request, either in the
+// X-Telegram-Init-Data header or as `initData` in the JSON body.  The
+// player's identity is taken from the signed `user` object; ids in the
+// request body are ignored.
+
+/**
+ * Verify Telegram WebApp initData as described in the Bot API docs: the
+ * `hash` field must equal the HMAC‑SHA256 of the remaining fields
+ * (sorted, `key=value` joined by newlines), keyed with
+ * HMAC‑SHA256("WebAppData", botToken).  `auth_date` must be no older
+ * than INIT_DATA_MAX_AGE seconds.
+ *
+ * @param {string} initData Raw initData query string
+ * @param {string} botToken Token of the bot that opened the web‑app
+ * @returns {{ user: { id: string, name: string } } | { error: string }}
+ */
+function verifyInitData(initData, botToken) {
+  if (typeof initData !== 'string' || !initData) return { error: 'initData is required' };
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+  if (!hash) return { error: 'initData is not signed' };
+  params.delete('hash');
+  const dataCheckString = [...params.entries()]
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join('\n');
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const expected = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest();
+  const given = Buffer.from(hash, 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { error: 'initData signature is invalid' };
+  }
+  const authDate = Number(params.get('auth_date'));
+  if (!authDate || Date.now() / 1000 - authDate > INIT_DATA_MAX_AGE) {
+    return { error: 'initData has expired' };
+  }
+  let user;
+  try {
+    user = JSON.parse(params.get('user'));
+  } catch (e) {
+    user = null;
+  }
+  if (!user || user.id === undefined) return { error: 'initData has no user' };
+  const name = [user.first_name, user.last_name].filter(Boolean).join(' ') || user.username || String(user.id);
+  return { user: { id: String(user.id), name } };
+}
+
+/**
+ * Express middleware for routes that change state.  Sets `req.player`
+ * to { id, name } from the verified initData, or responds 401.  Without
+ * a BOT_TOKEN it responds 503, unless ALLOW_INSECURE_AUTH is on (local
+ * development), in which case the `id`/`playerId` and `name` body
+ * fields are trusted instead.
+ */
+function authenticate(req, res, next) {
+  const body = req.body || {};
+  if (!BOT_TOKEN) {
+    if (!ALLOW_INSECURE_AUTH) {
+      res.status(503).json({ error: 'player authentication is not configured' });
+      return;
+    }
+    const id = body.id ?? body.playerId;
+    if (!id) {
+      res.status(400).json({ error: 'playerId is required' });
+      return;
+    }
+    if (String(id).length > MAX_ID_LENGTH || String(body.name ?? '').length > MAX_ID_LENGTH) {
+      res.status(400).json({ error: `playerId and name must be at most ${MAX_ID_LENGTH} characters` });
+      return;
+    }
+    req.player = { id: String(id), name: body.name ? String(body.name) : String(id) };
+    next();
+    return;
+  }
+  const initData = req.get('X-Telegram-Init-Data') || body.initData;
+  const { user, error } = verifyInitData(initData, BOT_TOKEN);
+  if (error) {
+    res.status(401).json({ error });
+    return;
+  }
+  req.player = user;
+  next();
+}
+
+/**
+ * Id of the player a GET request verifiably comes from, or null.  GET
+ * requests have no body, so initData is read from the
+ * X-Telegram-Init-Data header or, since EventSource cannot set headers,
+ * the `initData` query parameter.  With ALLOW_INSECURE_AUTH and no
+ * BOT_TOKEN the `id` query parameter is trusted instead.
+ */
+function readerId(req) {
+  if (!BOT_TOKEN) {
+    return ALLOW_INSECURE_AUTH && typeof req.query.id === 'string' ? req.query.id : null;
+  }
+  const { user } = verifyInitData(req.get('X-Telegram-Init-Data') || req.query.initData, BOT_TOKEN);
+  return user ? user.id : null;
+}
+
+// ---------------------------------------------------------------------------
+// Rate limiting and request validation
+//
+// Requests are limited per IP and, once authenticated, per player, with
+// separate budgets for matchmaking (queueing, challenges and settings),
+// moves (everything done inside a game) and reads (all GET requests,
+// counted per IP only).  Over budget, clients get 429 with Retry-After.
+// Ids in the URL are length checked up front so oversized values never
+// reach the maps.
+
+const MAX_ID_LENGTH = 64;
+
+/**
+ * Whether a request body field holds a player id: a string, or an
+ * integer since Telegram ids are numeric, of 1 to MAX_ID_LENGTH
+ * characters.
+ */
+function isPlayerId(value) {
+  if (typeof value !== 'string' && !Number.isSafeInteger(value)) return false;
+  const { length } = String(value);
+  return length > 0 && length <= MAX_ID_LENGTH;
+}
+
+function budget(envName, limit, seconds) {
+  const { limit: max, windowMs } = parseBudget(process.env[envName], { limit, windowMs: seconds * 1000 });
+  return { limit: max, windowMs, ipLimit: max * RATE_LIMIT_IP_FACTOR };
+}
+
+const limits = {
+  matchmaking: rateLimit({ name: 'matchmaking', ...budget('RATE_LIMIT_MATCHMAKING', 20, 60) }),
+  moves: rateLimit({ name: 'moves', ...budget('RATE_LIMIT_MOVES', 120, 60) }),
+  reads: rateLimit({ name: 'reads', ...budget('RATE_LIMIT_READS', 300, 60) }),
+};
+
+app.use((req, res, next) => (req.method === 'GET' ? limits.reads.ip(req, res, next) : next()));
+
+/**
+ * Middlewares for a route that acts for a player: the IP budget of
+ * `limit` is counted before authentication, so failed attempts count
+ * too, and the player's own budget after it.
+ */
+function asPlayer(limit) {
+  return [limit.ip, authenticate, limit.player];
+}
+
+for (const param of ['id', 'token']) {
+  app.param(param, (req, res, next, value) => {
+    if (value.length > MAX_ID_LENGTH) {
+      res.status(400).json({ error: `${param} must be at most ${MAX_ID_LENGTH} characters` });
+      return;
+    }
+    next();
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Server state
 //
-// queue: waiting players, keyed by userId.  When a player calls POST /match,
-// they are added to this map.  As soon as two players are available, they
-// are paired into a new game and removed from the queue.
-const queue = new Map();
-
-// scoreboard: maps userId to rating.  Players start with a default
-// rating (1500) unless otherwise specified.  Ratings persist for as
-// long as the process runs; you can periodically serialise this to
-// disk or a database to maintain state across restarts.  Ratings
-// increment and decrement based on game outcomes (+5 for a win,
-// -3 or -4 for a loss depending on the pre‑game ratings).
-const scoreboard = new Map();
+// All state lives in PersistentMaps (see storage.js), which behave like
+// plain Maps but save their contents through the configured storage
+// driver.  With the default memory driver nothing survives a restart;
+// with the file driver ratings, queued players and games (including
+// live positions) are restored when the server starts again.  Code that
+// mutates a stored game in place calls games.touch() so the change is
+// saved.
+const storage = createDriver(STORAGE_DRIVER, { dir: DATA_DIR });
+
+// queue: waiting players, keyed by userId:
+// { id, name, rating, timeControl, variant, botFallback, ts (joined),
+// seenAt (last heartbeat) }.  When a player calls POST /match, they are
+// added to this map.  As soon as two players asking for the same time
+// control and variant, and within each other's rating window, are
+// available, they are paired into a new game and removed from the queue.
+// See "Queue lifecycle" below.
+const queue = new PersistentMap(storage, 'queue');
+
+// scoreboard: maps userId to a Glicko‑2 rating record
+// { rating, rd, vol, games, name } (see rating.js; `name` is the display
+// name from the player's latest rated game).  Players start with the
+// default rating (1500).  Ratings move after every win, loss or draw by
+// an amount depending on the rating gap and how certain each rating is.
+const scoreboard = new PersistentMap(storage, 'scoreboard');
+
+// ratingHistory: maps userId to the list of their rating changes, oldest
+// first: [{ at, gameId, rating, change }] where `rating` is the displayed
+// rating after the game and `change` the difference it made.  Used for
+// the weekly and monthly leaderboards and for player profiles.
+const ratingHistory = new PersistentMap(storage, 'ratingHistory');
+
+// notificationPrefs: maps userId to the notification kinds they muted,
+// { match?: true, turn?: true, result?: true } (see notifier.js).
+const notificationPrefs = new PersistentMap(storage, 'notificationPrefs');
+
+// puzzleScores: maps userId to their puzzle rating record, kept apart
+// from the game rating: { rating, rd, vol, games } (see rating.js) plus
+// `done` ({ [puzzleId]: 'solved' | 'failed' }, the outcome of each
+// puzzle's first attempt) and `current` (null, or { puzzleId, ply } for
+// the puzzle being solved, `ply` being the number of solution moves
+// played so far).
+const puzzleScores = new PersistentMap(storage, 'puzzleScores');
 
 // games: maps gameId to game state.  Each entry has the shape:
 // {
 //   id: string,
-//   players: { w: { id, name }, b: { id, name } },
+//   players: { w: { id, name, rating }, b: { id, name, rating } }
+//                                 (rating as of the start of the game),
+//   createdAt: number,
+//   variant: 'standard' | 'chess960' | 'fromPosition'
+//                                 (see Variants; the starting FEN is kept
+//                                 by the engine),
+//   moves: [{ ply, color, playerId, from, to, promotion, san, fen, at }]
+//                                 (every move played, see GET /game/:id/moves),
 //   engine: SimpleChess instance,
 //   turn: 'w' | 'b',
 //   over: boolean,
-//   result: null | { winnerId: string, loserId: string | null, reason: string }
+//   endedAt: number | undefined   (set when the game finishes),
+//   result: null | { winnerId: string | null, loserId: string | null, reason: string,
+//                    ratingChange: null | { w: number, b: number } }
+//   (reason is 'checkmate', 'timeout' or 'resignation' for decisive
+//   games; 'stalemate', 'threefold', 'fifty-move', 'insufficient-material'
+//   or 'agreement' for draws and 'aborted' for cancelled games, where
+//   both ids are null),
+//   drawOffer: null | 'w' | 'b'   (colour with a pending draw offer),
+//   bot: null | { color, level }  (side played by the computer),
+//   lastMove: number              (start of the current turn),
+//   clock: { control: string, w: number, b: number }
+//                                 (ms left at the start of each turn),
+//   flagTimer: Timeout            (fires when the running clock expires),
+//   rematchOffer: null | 'w' | 'b' (colour offering a rematch once over),
+//   previousGameId, nextGameId: string | undefined
+//                                 (neighbouring games of a rematch series),
+//   series: undefined | { number, score: { [playerId]: points } }
+//                                 (for rematches: the game's number in the
+//                                 series and the score before it)
 // }
-const games = new Map();
+// challenges: private game invitations, keyed by their share token:
+// {
+//   token: string,
+//   creator: { id, name },
+//   invitee: string | null        (only this user may accept, if set),
+//   color: 'w' | 'b' | 'random'   (the creator's colour),
+//   timeControl: string,
+//   variant: string,
+//   startFen: string | null       (for 'fromPosition' challenges),
+//   status: 'pending' | 'accepted' | 'declined' | 'cancelled' | 'expired',
+//   createdAt: number,
+//   expiresAt: number,
+//   settledAt: number | undefined (when it was accepted, declined or
+//                                 cancelled),
+//   gameId: string | null         (set once accepted)
+// }
+// Settled and expired challenges are deleted by sweepChallenges().
+const challenges = new PersistentMap(storage, 'challenges');
+
+// Games are stored with the engine reduced to its starting FEN and move
+// list (SimpleChess#toJSON) and the flag timer dropped; see
+// serializeGame() and restoreGame().
+const games = new PersistentMap(storage, 'games', {
+  serialize: game => serializeGame(game),
+  deserialize: data => restoreGame(data),
+});
+
+// activeGames: maps userId to the id of the unfinished game they play in,
+// so a player's current game is found without scanning every game.  Only
+// human players are indexed; the computer plays any number of games at
+// once.  Kept in memory only and rebuilt from `games` at startup.
+const activeGames = new Map();
+
+// archivedGames: finished games older than GAME_RETENTION, moved out of
+// `games` by the background sweeper.  Only what the player archive and
+// the PGN export need is kept (see archiveRecord):
+// { id, players, result, timeControl, variant, moveCount, createdAt,
+// endedAt, pgn }.  Entries are in the order they were archived; the
+// sweeper drops them after ARCHIVE_RETENTION and keeps at most
+// ARCHIVE_MAX_GAMES of them.
+const archivedGames = new PersistentMap(storage, 'archivedGames');
+
+// Time controls.  Each player has their own clock holding a base time;
+// the clock of the side to move runs down and `incrementMs` is added
+// after every move they make.  Correspondence games instead give each
+// move its own allowance: the clock is reset to `baseMs` after a move.
+// When a clock reaches zero the flag falls and that player loses on
+// time.  Players choose a control when calling POST /match.
+const TIME_CONTROLS = {
+  bullet: { baseMs: 60 * 1000, incrementMs: 0 },
+  blitz: { baseMs: 5 * 60 * 1000, incrementMs: 3 * 1000 },
+  rapid: { baseMs: 15 * 60 * 1000, incrementMs: 10 * 1000 },
+  correspondence: { baseMs: 3 * 24 * 60 * 60 * 1000, incrementMs: 0, perMove: true },
+};
+const DEFAULT_TIME_CONTROL = 'blitz';
+
+/**
+ * Remaining time on a player's clock in milliseconds.  The clock of the
+ * side to move has been running since `game.lastMove`, the start of the
+ * current turn.
+ *
+ * @param {object} game The game object stored in the games map
+ * @param {'w'|'b'} color The clock to read
+ * @returns {number} Milliseconds left, never below zero
+ */
+function clockRemaining(game, color) {
+  const stored = game.clock[color];
+  if (game.over || color !== game.engine.turn()) return stored;
+  return Math.max(0, stored - (Date.now() - game.lastMove));
+}
+
+/**
+ * Stop the clock of the player who just moved (`color`) and start the
+ * opponent's, crediting the increment.  Called after every legal move.
+ */
+function pressClock(game, color) {
+  const control = TIME_CONTROLS[game.clock.control];
+  const elapsed = Date.now() - game.lastMove;
+  game.clock[color] = control.perMove ? control.baseMs : game.clock[color] - elapsed + control.incrementMs;
+  game.lastMove = Date.now();
+  scheduleFlag(game);
+  games.touch();
+}
 
-// Timeout settings.  If a player does not make a move within this
-// period (in milliseconds), the game is declared forfeit and the
-// opponent wins.  Five minutes (300,000 ms) is the default.
-const MOVE_TIMEOUT_MS = 5 * 60 * 1000;
+/**
+ * Arm a timer that ends the game when the running clock reaches zero,
+ * so flags fall even if nobody polls the game.  Replaces any earlier
+ * timer for the same game.
+ */
+function scheduleFlag(game) {
+  clearTimeout(game.flagTimer);
+  if (game.over) return;
+  const remaining = clockRemaining(game, game.engine.turn());
+  game.flagTimer = setTimeout(() => checkTimeout(game), remaining + 1);
+}
 
 /**
- * Check whether the given game has timed out.  If the time since the
- * last move exceeds MOVE_TIMEOUT_MS and the game is not already over,
- * declare the player whose turn it is the loser by timeout and update
- * ratings accordingly.  Returns true if a timeout occurred.
+ * Check whether the given game has timed out.  If the clock of the
+ * player whose turn it is has run out and the game is not already over,
+ * declare that player the loser by timeout and update ratings
+ * accordingly.  Returns true if a timeout occurred.
  *
  * @param {object} game The game object stored in the games map
  * @returns {boolean} Whether the game ended due to timeout
  */
 function checkTimeout(game) {
   if (!game || game.over) return false;
-  const now = Date.now();
-  if (game.lastMove && now - game.lastMove > MOVE_TIMEOUT_MS) {
-    // Determine loser and winner based on whose turn it is
-    const loserColor = game.engine.turn();
-    const winnerColor = loserColor === 'w' ? 'b' : 'w';
-    const winnerId = game.players[winnerColor].id;
-    const loserId = game.players[loserColor].id;
-    updateRatings(winnerId, loserId);
-    game.over = true;
-    game.result = { winnerId, loserId, reason: 'timeout' };
+  const loserColor = game.engine.turn();
+  if (clockRemaining(game, loserColor) <= 0) {
+    endGame(game, loserColor === 'w' ? 'b' : 'w', 'timeout');
     return true;
   }
   return false;
@@ -124,17 +470,65 @@ function checkTimeout(game) {
 // SimpleChess implementation
 //
 // This is a lightweight chess engine adapted from the client‑side
-// implementation.  It supports all basic piece moves, promotion and
-// game end detection (checkmate and stalemate), but omits castling
-// and en‑passant.  It maintains move history for undo but we
+// implementation.  It supports all piece moves including castling,
+// en‑passant and promotion, game end detection (checkmate, stalemate,
+// threefold repetition, the fifty‑move rule and insufficient material)
+// and the full six‑field FEN state (castling rights, en‑passant target
+// and the halfmove/fullmove clocks).  Chess960 games are supported as
+// well (see load()).  It maintains move history for undo but we
 // primarily use its move validation and FEN generation on the server.
 
+// Pieces a pawn may promote to, in the order moves are generated.
+const PROMOTION_PIECES = ['q', 'r', 'b', 'n'];
+
+const STANDARD_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// Castling rights, with the files the king and rook end up on.  These
+// are the same in Chess960, wherever the pieces started.
+const CASTLING_SIDES = {
+  K: { side: 'k', color: 'w', kingTo: 6, rookTo: 5 },
+  Q: { side: 'q', color: 'w', kingTo: 2, rookTo: 3 },
+  k: { side: 'k', color: 'b', kingTo: 6, rookTo: 5 },
+  q: { side: 'q', color: 'b', kingTo: 2, rookTo: 3 },
+};
+
+// Knight placements of the Chess960 numbering scheme: the pair of free
+// squares (counted among the five left after bishops and queen) taken by
+// the knights.
+const CHESS960_KNIGHTS = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]];
+
+/**
+ * Starting FEN of Chess960 position `number` (0–959, standard numbering,
+ * where 518 is the normal starting position); a random one by default.
+ * Bishops go on opposite colours and the king between the rooks.
+ */
+function chess960Fen(number = crypto.randomInt(960)) {
+  const rank = new Array(8).fill(null);
+  let n = number;
+  rank[2 * (n % 4) + 1] = 'b';
+  n = Math.floor(n / 4);
+  rank[2 * (n % 4)] = 'b';
+  n = Math.floor(n / 4);
+  const free = () => rank.map((p, i) => (p ? null : i)).filter(i => i !== null);
+  rank[free()[n % 6]] = 'q';
+  n = Math.floor(n / 6);
+  const knights = CHESS960_KNIGHTS[n].map(i => free()[i]);
+  for (const i of knights) rank[i] = 'n';
+  const [left, king, right] = free();
+  rank[left] = 'r';
+  rank[king] = 'k';
+  rank[right] = 'r';
+  const black = rank.join('');
+  return `${black}/pppppppp/8/8/8/8/PPPPPPPP/${black.toUpperCase()} w KQkq - 0 1`;
+}
+
 class SimpleChess {
   constructor() {
     this.reset();
   }
 
   reset() {
+    this.chess960 = false;
     this.board = [
       ['r', 'n', 'b', 'q', 'k', 'b', 'n', 'r'],
       ['p', 'p', 'p', 'p', 'p', 'p', 'p', 'p'],
@@ -146,43 +540,237 @@ class SimpleChess {
       ['R', 'N', 'B', 'Q', 'K', 'B', 'N', 'R'],
     ];
     this.turnColor = 'w';
+    // Castling rights keyed by FEN letter: K/Q for white king/queen side,
+    // k/q for black.
+    this.castling = { K: true, Q: true, k: true, q: true };
+    // File (0–7) of the rook each castling right belongs to.
+    this.castlingRooks = { K: 7, Q: 0, k: 7, q: 0 };
+    // Square a pawn may be captured on en passant, or null.
+    this.epSquare = null;
+    this.halfmoves = 0;
+    this.moveNumber = 1;
     this._history = [];
+    this._startFen = this.fen();
   }
 
-  load(fen) {
-    try {
-      const parts = fen.trim().split(/\s+/);
-      const placement = parts[0];
-      const turn = parts[1] || 'w';
-      const rows = placement.split('/');
-      if (rows.length !== 8) return false;
-      const board = [];
-      for (let r = 0; r < 8; r++) {
+  /**
+   * Set up the position described by `fen`.  With `{ chess960: true }`
+   * the game follows Chess960 castling rules: the castling field may name
+   * rook files (`HAha`, Shredder/X‑FEN style) and castling moves are
+   * written as the king capturing its own rook (e.g. `e1h1`), since the
+   * king's destination can be ambiguous.  The FEN is checked strictly
+   * (see validateFen()); an invalid one leaves the position unchanged.
+   *
+   * @returns {{ valid: boolean, errors: object[] }}
+   */
+  load(fen, { chess960 = false } = {}) {
+    const { errors, position } = SimpleChess._parseFen(fen, chess960);
+    if (errors.length) return { valid: false, errors };
+    Object.assign(this, position);
+    this.chess960 = chess960;
+    this._history = [];
+    this._startFen = this.fen();
+    return { valid: true, errors: [] };
+  }
+
+  /**
+   * Check a FEN without loading it.  Every problem found is reported as
+   * { code, message } plus the `rank` (8–1), `square` or `color` it
+   * concerns where that helps.  Codes:
+   *   fields       wrong number of fields
+   *   ranks        piece placement does not have 8 ranks
+   *   rank-length  a rank does not describe exactly 8 squares
+   *   piece        unknown piece letter
+   *   kings        a side has no king or more than one
+   *   pawns        pawn on the first or last rank, or more than 8 pawns
+   *   pieces       more pieces than pawns could have promoted to
+   *   turn         side to move is not 'w' or 'b'
+   *   check        the side not to move is in check
+   *   castling     malformed castling field, or a right whose king and
+   *                rook are not in place
+   *   en-passant   impossible en passant square
+   *   halfmove, fullmove   malformed move counters
+   *
+   * @param {string} fen
+   * @param {{ chess960?: boolean }} [options]
+   * @returns {{ valid: boolean, errors: object[] }}
+   */
+  static validateFen(fen, { chess960 = false } = {}) {
+    const { errors } = SimpleChess._parseFen(fen, chess960);
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Parse and validate a FEN.  Returns { errors, position } where
+   * `position` holds the engine fields to assign when there are no
+   * errors.
+   */
+  static _parseFen(fen, chess960) {
+    const errors = [];
+    const fail = (code, message, details = {}) => errors.push({ code, message, ...details });
+    const parts = typeof fen === 'string' ? fen.trim().split(/\s+/) : [];
+    if (parts.length < 4 || parts.length > 6) {
+      fail('fields', 'FEN needs 4 to 6 space-separated fields');
+      return { errors };
+    }
+    const [placement, turn, castlingField, epField, halfField = '0', fullField = '1'] = parts;
+    const colorName = color => (color === 'w' ? 'white' : 'black');
+
+    // Piece placement, rank 8 first
+    const rows = placement.split('/');
+    let board = null;
+    if (rows.length !== 8) {
+      fail('ranks', `piece placement needs 8 ranks, not ${rows.length}`);
+    } else {
+      board = rows.map((text, r) => {
+        const rank = 8 - r;
         const row = [];
-        let col = 0;
-        for (const ch of rows[r]) {
-          if (col > 7) break;
+        for (const ch of text) {
           if (ch >= '1' && ch <= '8') {
-            const empty = parseInt(ch, 10);
-            for (let i = 0; i < empty; i++) {
-              row.push(null);
-              col++;
-            }
+            for (let i = 0; i < Number(ch); i++) row.push(null);
           } else {
+            if (!'pnbrqkPNBRQK'.includes(ch)) fail('piece', `unknown piece '${ch}' on rank ${rank}`, { rank });
             row.push(ch);
-            col++;
           }
         }
-        while (row.length < 8) row.push(null);
-        board.push(row);
+        if (row.length !== 8) fail('rank-length', `rank ${rank} has ${row.length} squares instead of 8`, { rank });
+        return row;
+      });
+      if (errors.length) board = null;
+    }
+
+    if (turn !== 'w' && turn !== 'b') fail('turn', "side to move must be 'w' or 'b'");
+    if (!/^\d+$/.test(halfField)) fail('halfmove', 'halfmove clock must be a non-negative integer');
+    if (!/^[1-9]\d*$/.test(fullField)) fail('fullmove', 'fullmove number must be a positive integer');
+
+    let castling = { K: false, Q: false, k: false, q: false };
+    let castlingRooks = { K: 7, Q: 0, k: 7, q: 0 };
+    let epSquare = null;
+    if (board) {
+      for (const color of ['w', 'b']) {
+        const own = p => p && (p === p.toUpperCase()) === (color === 'w');
+        const count = type => board.flat().filter(p => own(p) && p.toLowerCase() === type).length;
+        const kings = count('k');
+        if (kings !== 1) {
+          fail('kings', kings ? `${colorName(color)} has ${kings} kings` : `${colorName(color)} has no king`, { color });
+        }
+        const pawns = count('p');
+        if (pawns > 8) fail('pawns', `${colorName(color)} has ${pawns} pawns`, { color });
+        const promoted =
+          Math.max(0, count('q') - 1) + Math.max(0, count('r') - 2) + Math.max(0, count('b') - 2) + Math.max(0, count('n') - 2);
+        if (pawns <= 8 && pawns + promoted > 8) {
+          fail('pieces', `${colorName(color)} has more promoted pieces than missing pawns`, { color });
+        }
+      }
+      for (const r of [0, 7]) {
+        board[r].forEach((p, c) => {
+          if (p && p.toLowerCase() === 'p') {
+            const square = String.fromCharCode(97 + c) + (8 - r);
+            fail('pawns', `pawn on ${square}: pawns cannot stand on the first or last rank`, { square });
+          }
+        });
+      }
+      ({ castling, castlingRooks } = SimpleChess._parseCastling(board, castlingField, chess960, fail));
+
+      if (epField !== '-') {
+        const ep = /^([a-h])([36])$/.exec(epField);
+        const epRank = turn === 'b' ? '3' : '6';
+        if (!ep || ep[2] !== epRank) {
+          fail('en-passant', `en passant square must be '-' or on rank ${epRank}`);
+        } else {
+          // The pawn that just moved two squares stands in front of the
+          // en passant square, which it passed over, coming from behind it
+          const c = ep[1].charCodeAt(0) - 97;
+          const [pawnRow, epRow, fromRow] = turn === 'b' ? [4, 5, 6] : [3, 2, 1];
+          const pawn = turn === 'b' ? 'P' : 'p';
+          if (board[pawnRow][c] !== pawn || board[epRow][c] || board[fromRow][c]) {
+            fail('en-passant', `no pawn can just have passed ${epField}`, { square: epField });
+          } else {
+            epSquare = epField;
+          }
+        }
+      }
+    } else if (castlingField !== '-' && !/^[KQkqA-Ha-h]+$/.test(castlingField)) {
+      fail('castling', `invalid castling field '${castlingField}'`);
+    }
+
+    const kingsOk = !errors.some(e => e.code === 'kings');
+    if (board && kingsOk && (turn === 'w' || turn === 'b')) {
+      const probe = new SimpleChess();
+      probe.board = board;
+      const waiting = turn === 'w' ? 'b' : 'w';
+      if (probe._isInCheck(waiting)) {
+        fail('check', `${colorName(waiting)} is in check but it is ${colorName(turn)}'s turn`, { color: waiting });
+      }
+    }
+    if (errors.length) return { errors };
+    return {
+      errors,
+      position: {
+        board,
+        turnColor: turn,
+        castling,
+        castlingRooks,
+        epSquare,
+        halfmoves: Number(halfField),
+        moveNumber: Number(fullField),
+      },
+    };
+  }
+
+  /**
+   * Read the castling field of a FEN.  `K`/`Q` (`k`/`q` for black) mean
+   * the outermost rook on that side of the king; in Chess960 a file
+   * letter names the rook directly.  Problems are reported through
+   * `fail` (see _parseFen()).
+   */
+  static _parseCastling(board, field, chess960, fail) {
+    const castling = { K: false, Q: false, k: false, q: false };
+    const castlingRooks = { K: 7, Q: 0, k: 7, q: 0 };
+    const pattern = chess960 ? /^[KQkqA-Ha-h]+$/ : /^[KQkq]+$/;
+    if (field === '-') return { castling, castlingRooks };
+    if (!pattern.test(field)) {
+      fail('castling', `invalid castling field '${field}'`);
+      return { castling, castlingRooks };
+    }
+    for (const ch of field) {
+      const color = ch === ch.toUpperCase() ? 'w' : 'b';
+      const row = color === 'w' ? 7 : 0;
+      const rook = color === 'w' ? 'R' : 'r';
+      const kingCol = board[row].indexOf(color === 'w' ? 'K' : 'k');
+      if (kingCol < 0) {
+        fail('castling', `castling right '${ch}' needs the king on its first rank`, { color });
+        continue;
+      }
+      let rookCol = -1;
+      const letter = ch.toLowerCase();
+      if (letter === 'k') {
+        for (let c = 7; c > kingCol && rookCol < 0; c--) if (board[row][c] === rook) rookCol = c;
+      } else if (letter === 'q') {
+        for (let c = 0; c < kingCol && rookCol < 0; c++) if (board[row][c] === rook) rookCol = c;
+      } else {
+        const c = letter.charCodeAt(0) - 97;
+        if (board[row][c] === rook) rookCol = c;
+      }
+      if (rookCol < 0) {
+        fail('castling', `castling right '${ch}' has no rook to castle with`, { color });
+        continue;
+      }
+      const kingSide = rookCol > kingCol;
+      const right = color === 'w' ? (kingSide ? 'K' : 'Q') : kingSide ? 'k' : 'q';
+      // Outside Chess960 only the standard king and rook squares count
+      if (!chess960 && (kingCol !== 4 || rookCol !== (kingSide ? 7 : 0))) {
+        fail('castling', `castling right '${ch}' needs the king and rook on their starting squares`, { color });
+        continue;
+      }
+      if (castling[right]) {
+        fail('castling', `castling right '${ch}' is given twice`, { color });
+        continue;
       }
-      this.board = board;
-      this.turnColor = turn === 'b' ? 'b' : 'w';
-      this._history = [];
-      return true;
-    } catch (e) {
-      return false;
+      castling[right] = true;
+      castlingRooks[right] = rookCol;
     }
+    return { castling, castlingRooks };
   }
 
   turn() {
@@ -197,7 +785,7 @@ class SimpleChess {
     if (!square || square.length !== 2) return null;
     const file = square.charCodeAt(0) - 97;
     const rank = 8 - parseInt(square[1], 10);
-    if (file < 0 || file > 7 || rank < 0 || rank > 7) return null;
+    if (Number.isNaN(rank) || file < 0 || file > 7 || rank < 0 || rank > 7) return null;
     return [rank, file];
   }
 
@@ -267,7 +855,9 @@ class SimpleChess {
       if (this._inBounds(r1, c) && !board[r1][c]) {
         const toSq = this._coordsToSquare(r1, c);
         if (r1 === 0 || r1 === 7) {
-          moves.push({ from: fromSquare, to: toSq, piece: piece.toLowerCase(), promotion: isWhite ? 'q' : 'q' });
+          for (const promotion of PROMOTION_PIECES) {
+            moves.push({ from: fromSquare, to: toSq, piece: piece.toLowerCase(), promotion });
+          }
         } else {
           moves.push({ from: fromSquare, to: toSq, piece: piece.toLowerCase() });
         }
@@ -286,11 +876,20 @@ class SimpleChess {
           if (targetIsWhite !== isWhite) {
             const toSq = this._coordsToSquare(rr, cc);
             if (rr === 0 || rr === 7) {
-              moves.push({ from: fromSquare, to: toSq, piece: piece.toLowerCase(), captured: target.toLowerCase(), promotion: isWhite ? 'q' : 'q' });
+              for (const promotion of PROMOTION_PIECES) {
+                moves.push({ from: fromSquare, to: toSq, piece: piece.toLowerCase(), captured: target.toLowerCase(), promotion });
+              }
             } else {
               moves.push({ from: fromSquare, to: toSq, piece: piece.toLowerCase(), captured: target.toLowerCase() });
             }
           }
+        } else if (this._inBounds(rr, cc) && this.epSquare === this._coordsToSquare(rr, cc)) {
+          // En passant: the captured pawn sits beside us, not on the
+          // target square.
+          const victim = board[r][cc];
+          if (victim && victim.toLowerCase() === 'p' && (victim === victim.toUpperCase()) !== isWhite) {
+            moves.push({ from: fromSquare, to: this.epSquare, piece: 'p', captured: 'p', enPassant: true });
+          }
         }
       }
       return moves;
@@ -336,7 +935,7 @@ class SimpleChess {
       }
       return moves;
     }
-    // King moves (no castling)
+    // King moves, including castling
     if (lower === 'k') {
       for (const [dr, dc] of directions.k) {
         const rr = r + dr;
@@ -352,44 +951,109 @@ class SimpleChess {
           moves.push({ from: fromSquare, to: this._coordsToSquare(rr, cc), piece: piece.toLowerCase() });
         }
       }
+      moves.push(...this._generateCastlingMoves(r, c, color));
       return moves;
     }
     return moves;
   }
 
-  _isInCheck(color) {
-    const isWhite = color === 'w';
-    let kingRow = -1;
-    let kingCol = -1;
-    for (let r = 0; r < 8; r++) {
-      for (let c = 0; c < 8; c++) {
-        const piece = this.board[r][c];
-        if (piece && piece.toLowerCase() === 'k') {
-          if (isWhite === (piece === piece.toUpperCase())) {
-            kingRow = r;
-            kingCol = c;
+  /**
+   * Generate castling moves for the king on (r, c).  Castling requires
+   * the right to still be held, the rook on its original square, every
+   * square the king and rook cross or land on to be empty (apart from
+   * the two of them) and the king not to be in, pass through or land on
+   * an attacked square.  Castling moves carry `castle` ('k' or 'q') and
+   * the rook's squares in `rookFrom`/`rookTo`; `to` is the king's
+   * destination, or the rook's square in Chess960 (see load()).
+   */
+  _generateCastlingMoves(r, c, color) {
+    const moves = [];
+    const homeRow = color === 'w' ? 7 : 0;
+    if (r !== homeRow) return moves;
+    const enemy = color === 'w' ? 'b' : 'w';
+    const rook = color === 'w' ? 'R' : 'r';
+    for (const [right, { side, kingTo, rookTo }] of Object.entries(CASTLING_SIDES)) {
+      if (CASTLING_SIDES[right].color !== color || !this.castling[right]) continue;
+      const rookCol = this.castlingRooks[right];
+      if (this.board[homeRow][rookCol] !== rook) continue;
+      const lo = Math.min(c, rookCol, kingTo, rookTo);
+      const hi = Math.max(c, rookCol, kingTo, rookTo);
+      let blocked = false;
+      for (let col = lo; col <= hi && !blocked; col++) {
+        blocked = col !== c && col !== rookCol && Boolean(this.board[homeRow][col]);
+      }
+      if (blocked) continue;
+      let attacked = false;
+      for (let col = Math.min(c, kingTo); col <= Math.max(c, kingTo) && !attacked; col++) {
+        attacked = this._isSquareAttacked(homeRow, col, enemy);
+      }
+      if (attacked) continue;
+      moves.push({
+        from: this._coordsToSquare(homeRow, c),
+        to: this._coordsToSquare(homeRow, this.chess960 ? rookCol : kingTo),
+        piece: 'k',
+        castle: side,
+        rookFrom: this._coordsToSquare(homeRow, rookCol),
+        rookTo: this._coordsToSquare(homeRow, rookTo),
+      });
+    }
+    return moves;
+  }
+
+  /**
+   * Castling right used by a castling move of the side to move.
+   */
+  _castlingRight(mv, color) {
+    return color === 'w' ? mv.castle.toUpperCase() : mv.castle;
+  }
+
+  /**
+   * Return true if any piece of colour `byColor` attacks square (r, c).
+   * Works on empty squares as well, which castling needs.
+   */
+  _isSquareAttacked(r, c, byColor) {
+    const board = this.board;
+    const isOwn = (rr, cc, type) => {
+      const p = board[rr][cc];
+      if (!p || p.toLowerCase() !== type) return false;
+      return (p === p.toUpperCase()) === (byColor === 'w');
+    };
+    // Pawns attack diagonally towards the opposite side.
+    const pawnRow = byColor === 'w' ? r + 1 : r - 1;
+    for (const dc of [-1, 1]) {
+      if (this._inBounds(pawnRow, c + dc) && isOwn(pawnRow, c + dc, 'p')) return true;
+    }
+    const knightJumps = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+    for (const [dr, dc] of knightJumps) {
+      if (this._inBounds(r + dr, c + dc) && isOwn(r + dr, c + dc, 'n')) return true;
+    }
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        if (!dr && !dc) continue;
+        if (this._inBounds(r + dr, c + dc) && isOwn(r + dr, c + dc, 'k')) return true;
+        const slider = dr && dc ? 'b' : 'r';
+        let rr = r + dr;
+        let cc = c + dc;
+        while (this._inBounds(rr, cc)) {
+          if (board[rr][cc]) {
+            if (isOwn(rr, cc, slider) || isOwn(rr, cc, 'q')) return true;
             break;
           }
+          rr += dr;
+          cc += dc;
         }
       }
-      if (kingRow !== -1) break;
     }
-    if (kingRow === -1) return false;
+    return false;
+  }
+
+  _isInCheck(color) {
+    const isWhite = color === 'w';
     for (let r = 0; r < 8; r++) {
       for (let c = 0; c < 8; c++) {
         const piece = this.board[r][c];
-        if (!piece) continue;
-        const pieceIsWhite = piece === piece.toUpperCase();
-        if (pieceIsWhite === isWhite) continue;
-        const savedTurn = this.turnColor;
-        this.turnColor = pieceIsWhite ? 'w' : 'b';
-        const moves = this._generatePieceMoves(r, c);
-        this.turnColor = savedTurn;
-        for (const mv of moves) {
-          const coords = this._squareToCoords(mv.to);
-          if (coords && coords[0] === kingRow && coords[1] === kingCol) {
-            return true;
-          }
+        if (piece && piece.toLowerCase() === 'k' && isWhite === (piece === piece.toUpperCase())) {
+          return this._isSquareAttacked(r, c, isWhite ? 'b' : 'w');
         }
       }
     }
@@ -441,14 +1105,54 @@ class SimpleChess {
     const r2 = toCoords[0];
     const c2 = toCoords[1];
     const piece = this.board[r1][c1];
-    const captured = this.board[r2][c2];
-    this._history.push({ mv, captured, turn: this.turnColor });
-    this.board[r2][c2] = piece;
-    this.board[r1][c1] = null;
+    // In Chess960 a castling move lands on the mover's own rook
+    const captured = mv.castle ? null : this.board[r2][c2];
+    this._history.push({
+      mv,
+      captured,
+      turn: this.turnColor,
+      castling: { ...this.castling },
+      castlingRooks: this.castlingRooks,
+      epSquare: this.epSquare,
+      halfmoves: this.halfmoves,
+      moveNumber: this.moveNumber,
+    });
+    if (mv.castle) {
+      // King and rook may swap or share squares in Chess960, so lift both
+      // before putting them down.
+      const { kingTo, rookTo } = CASTLING_SIDES[this._castlingRight(mv, this.turnColor)];
+      const rookCol = this.castlingRooks[this._castlingRight(mv, this.turnColor)];
+      const rook = this.board[r1][rookCol];
+      this.board[r1][c1] = null;
+      this.board[r1][rookCol] = null;
+      this.board[r1][kingTo] = piece;
+      this.board[r1][rookTo] = rook;
+    } else {
+      this.board[r2][c2] = piece;
+      this.board[r1][c1] = null;
+    }
     if (mv.promotion) {
       const promo = mv.promotion;
       this.board[r2][c2] = piece === piece.toUpperCase() ? promo.toUpperCase() : promo.toLowerCase();
     }
+    if (mv.enPassant) {
+      // The captured pawn stands on the mover's starting rank.
+      this.board[r1][c2] = null;
+    }
+    // Moving the king or a rook, or capturing a rook on its home square,
+    // removes the matching castling rights.
+    const lower = piece.toLowerCase();
+    if (lower === 'k') {
+      if (piece === 'K') this.castling.K = this.castling.Q = false;
+      else this.castling.k = this.castling.q = false;
+    }
+    for (const right of Object.keys(CASTLING_SIDES)) {
+      const sq = this._coordsToSquare(CASTLING_SIDES[right].color === 'w' ? 7 : 0, this.castlingRooks[right]);
+      if (mv.from === sq || mv.to === sq) this.castling[right] = false;
+    }
+    this.epSquare = lower === 'p' && Math.abs(r2 - r1) === 2 ? this._coordsToSquare((r1 + r2) / 2, c1) : null;
+    this.halfmoves = lower === 'p' || mv.captured ? 0 : this.halfmoves + 1;
+    if (this.turnColor === 'b') this.moveNumber++;
     this.turnColor = this.turnColor === 'w' ? 'b' : 'w';
   }
 
@@ -461,16 +1165,134 @@ class SimpleChess {
       if (promotion) mv.promotion = promotion;
     }
     const legalMoves = this.moves({ verbose: true });
+    mv = { ...mv, to: this._castlingTarget(mv.from, mv.to, legalMoves) };
     for (const lm of legalMoves) {
       if (lm.from === mv.from && lm.to === mv.to) {
-        if (mv.promotion && mv.promotion !== lm.promotion) continue;
+        // A promotion only matches when the requested piece is given
+        // explicitly; we never pick one on the player's behalf.
+        if ((mv.promotion || null) !== (lm.promotion || null)) continue;
+        const san = this._san(lm, legalMoves);
         this._makeMove(lm);
-        return lm;
+        return { ...lm, san };
       }
     }
     return null;
   }
 
+  /**
+   * In Chess960 castling is written as the king taking its rook, but
+   * clients may also send the king's destination (`e1g1`).  When no
+   * other legal move matches `from`‑`to`, map such a move onto the
+   * castling move; otherwise return `to` unchanged.
+   */
+  _castlingTarget(from, to, legalMoves) {
+    if (!this.chess960 || legalMoves.some(lm => lm.from === from && lm.to === to)) return to;
+    const castle = legalMoves.find(lm => {
+      if (!lm.castle || lm.from !== from) return false;
+      const { kingTo } = CASTLING_SIDES[this._castlingRight(lm, this.turnColor)];
+      return this._coordsToSquare(this._squareToCoords(from)[0], kingTo) === to;
+    });
+    return castle ? castle.to : to;
+  }
+
+  /**
+   * Standard Algebraic Notation for a legal move in the current
+   * position: piece letter, the origin file and/or rank when another
+   * piece of the same type could reach the same square, `x` for
+   * captures, `=Q` style promotions and a `+` or `#` suffix.
+   *
+   * @param {object} mv Verbose legal move
+   * @param {object[]} [legalMoves] Verbose legal moves of the position,
+   *   passed in when the caller already has them
+   */
+  _san(mv, legalMoves = this.moves({ verbose: true })) {
+    let san;
+    if (mv.castle) {
+      san = mv.castle === 'k' ? 'O-O' : 'O-O-O';
+    } else if (mv.piece === 'p') {
+      san = (mv.captured ? mv.from[0] + 'x' : '') + mv.to;
+      if (mv.promotion) san += '=' + mv.promotion.toUpperCase();
+    } else {
+      const rivals = legalMoves.filter(lm => lm.piece === mv.piece && lm.to === mv.to && lm.from !== mv.from);
+      let origin = '';
+      if (rivals.length) {
+        if (!rivals.some(lm => lm.from[0] === mv.from[0])) origin = mv.from[0];
+        else if (!rivals.some(lm => lm.from[1] === mv.from[1])) origin = mv.from[1];
+        else origin = mv.from;
+      }
+      san = mv.piece.toUpperCase() + origin + (mv.captured ? 'x' : '') + mv.to;
+    }
+    this._makeMove(mv);
+    if (this.in_checkmate()) san += '#';
+    else if (this.in_check()) san += '+';
+    this.undo();
+    return san;
+  }
+
+  /**
+   * Resolve a move typed as text against the legal moves of the current
+   * position.  Accepts UCI (`e2e4`, `e7e8n`) and SAN (`Nf3`, `exd5`,
+   * `e8=Q`, `O-O`, `0-0-0`), ignoring check/mate markers and `!`/`?`
+   * annotations.  Lowercase piece letters are accepted except `b`, which
+   * always means the b‑file.
+   *
+   * @param {string} text The move as typed
+   * @returns {{ move: object } | { error: string, candidates: string[] }}
+   *   The matching verbose legal move, or an error together with the SAN
+   *   of the moves the text could have meant
+   */
+  parseMove(text) {
+    const legalMoves = this.moves({ verbose: true });
+    const sanOf = list => list.map(lm => this._san(lm, legalMoves));
+    const input = String(text).trim().replace(/[+#!?]+$/, '');
+    let matches = null;
+    let uci = input.match(/^([a-h][1-8])([a-h][1-8])([qrbn])?$/i);
+    if (uci) {
+      const [, from, typedTo, promotion] = uci.map(part => part && part.toLowerCase());
+      const to = this._castlingTarget(from, typedTo, legalMoves);
+      matches = legalMoves.filter(lm => lm.from === from && lm.to === to && (!promotion || lm.promotion === promotion));
+    } else if (/^[O0]-[O0](-[O0])?$/i.test(input)) {
+      const side = input.length > 3 ? 'q' : 'k';
+      matches = legalMoves.filter(lm => lm.castle === side);
+    } else {
+      const san = input.match(/^([NBRQK]|[nrqk](?=[a-h]?[1-8]?x?[a-h][1-8]))?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQnbrq]))?$/);
+      if (!san) {
+        return { error: 'could not parse move', candidates: sanOf(legalMoves) };
+      }
+      const [, pieceLetter, fromFile, fromRank, to, promotion] = san;
+      const piece = pieceLetter ? pieceLetter.toLowerCase() : 'p';
+      matches = legalMoves.filter(
+        lm =>
+          lm.piece === piece &&
+          lm.to === to &&
+          !lm.castle &&
+          (!fromFile || lm.from[0] === fromFile) &&
+          (!fromRank || lm.from[1] === fromRank) &&
+          (!promotion || lm.promotion === promotion.toLowerCase()),
+      );
+      if (!matches.length) {
+        const samePiece = legalMoves.filter(lm => lm.piece === piece);
+        return { error: 'illegal move', candidates: sanOf(samePiece.length ? samePiece : legalMoves) };
+      }
+    }
+    if (!matches.length) {
+      return { error: 'illegal move', candidates: sanOf(legalMoves) };
+    }
+    if (matches.length > 1) {
+      return { error: 'ambiguous move', candidates: sanOf(matches) };
+    }
+    return { move: matches[0] };
+  }
+
+  /**
+   * Return true if moving from `from` to `to` is a legal pawn promotion
+   * in the current position, regardless of the chosen piece.  Used to
+   * tell a missing promotion choice apart from an illegal move.
+   */
+  isPromotion(from, to) {
+    return this.moves({ square: from, verbose: true }).some(lm => lm.to === to && lm.promotion);
+  }
+
   undo() {
     const entry = this._history.pop();
     if (!entry) return null;
@@ -481,6 +1303,22 @@ class SimpleChess {
     const c1 = fromCoords[1];
     const r2 = toCoords[0];
     const c2 = toCoords[1];
+    if (mv.castle) {
+      const right = this._castlingRight(mv, entry.turn);
+      const { kingTo, rookTo } = CASTLING_SIDES[right];
+      const king = this.board[r1][kingTo];
+      const rook = this.board[r1][rookTo];
+      this.board[r1][kingTo] = null;
+      this.board[r1][rookTo] = null;
+      this.board[r1][c1] = king;
+      this.board[r1][entry.castlingRooks[right]] = rook;
+      this.turnColor = entry.turn;
+      this.castling = entry.castling;
+      this.epSquare = entry.epSquare;
+      this.halfmoves = entry.halfmoves;
+      this.moveNumber = entry.moveNumber;
+      return mv;
+    }
     const piece = this.board[r2][c2];
     let restorePiece = piece;
     if (mv.promotion) {
@@ -488,7 +1326,14 @@ class SimpleChess {
     }
     this.board[r1][c1] = restorePiece;
     this.board[r2][c2] = entry.captured || null;
+    if (mv.enPassant) {
+      this.board[r1][c2] = piece === piece.toUpperCase() ? 'p' : 'P';
+    }
     this.turnColor = entry.turn;
+    this.castling = entry.castling;
+    this.epSquare = entry.epSquare;
+    this.halfmoves = entry.halfmoves;
+    this.moveNumber = entry.moveNumber;
     return mv;
   }
 
@@ -510,12 +1355,78 @@ class SimpleChess {
     return this.moves().length === 0;
   }
 
+  /**
+   * True once 50 moves by each side (100 plies) have passed without a
+   * pawn move or capture.
+   */
+  in_fifty_moves() {
+    return this.halfmoves >= 100;
+  }
+
+  /**
+   * True if neither side can possibly deliver mate: bare kings, a single
+   * minor piece against a bare king, or only bishops that all stand on
+   * squares of the same colour.
+   */
+  insufficient_material() {
+    const minors = [];
+    for (let r = 0; r < 8; r++) {
+      for (let c = 0; c < 8; c++) {
+        const piece = this.board[r][c];
+        if (!piece) continue;
+        const lower = piece.toLowerCase();
+        if (lower === 'k') continue;
+        if (lower !== 'b' && lower !== 'n') return false;
+        minors.push({ type: lower, squareColor: (r + c) % 2 });
+      }
+    }
+    if (minors.length <= 1) return true;
+    return minors.every(m => m.type === 'b' && m.squareColor === minors[0].squareColor);
+  }
+
+  /**
+   * Key identifying a position for repetition purposes: placement, side
+   * to move, castling rights and the en passant square, the latter only
+   * when a pawn of the side to move could actually capture there.
+   */
+  _positionKey() {
+    const [placement, turn, castling] = this.fen().split(' ');
+    let ep = '-';
+    if (this.epSquare) {
+      const [r, c] = this._squareToCoords(this.epSquare);
+      const pawnRow = this.turnColor === 'w' ? r + 1 : r - 1;
+      const pawn = this.turnColor === 'w' ? 'P' : 'p';
+      if ([c - 1, c + 1].some(cc => this._inBounds(pawnRow, cc) && this.board[pawnRow][cc] === pawn)) {
+        ep = this.epSquare;
+      }
+    }
+    return placement + ' ' + turn + ' ' + castling + ' ' + ep;
+  }
+
+  /**
+   * True if the current position has occurred at least three times.  Only
+   * the plies since the last pawn move or capture are replayed, as no
+   * earlier position can recur.
+   */
+  in_threefold_repetition() {
+    const target = this._positionKey();
+    const reversible = this.halfmoves;
+    const undone = [];
+    let count = 1;
+    while (undone.length < reversible && this._history.length) {
+      undone.push(this.undo());
+      if (this._positionKey() === target) count++;
+    }
+    while (undone.length) this._makeMove(undone.pop());
+    return count >= 3;
+  }
+
   in_draw() {
-    return this.in_stalemate();
+    return this.in_stalemate() || this.in_fifty_moves() || this.insufficient_material() || this.in_threefold_repetition();
   }
 
   game_over() {
-    return this.in_checkmate() || this.in_stalemate();
+    return this.in_checkmate() || this.in_draw();
   }
 
   boardState() {
@@ -534,14 +1445,102 @@ class SimpleChess {
     return out;
   }
 
+  /**
+   * Moves played so far.  By default coordinate strings such as `e2e4`;
+   * `{ verbose: true }` returns move objects and `{ san: true }` returns
+   * SAN strings such as `Nf3`.
+   */
   history(opts = {}) {
     const verbose = opts && opts.verbose;
     if (verbose) {
       return this._history.map(entry => Object.assign({}, entry.mv));
     }
+    if (opts && opts.san) {
+      // SAN depends on the position each move was played in, so step
+      // back to the start and replay the game.
+      const played = [];
+      while (this._history.length) played.unshift(this.undo());
+      return played.map(mv => {
+        const san = this._san(mv);
+        this._makeMove(mv);
+        return san;
+      });
+    }
     return this._history.map(entry => entry.mv.from + entry.mv.to + (entry.mv.promotion || ''));
   }
 
+  /**
+   * The game in Portable Game Notation.  `headers` are written as tag
+   * pairs in the given order; the movetext ends with the Result tag's
+   * value (or `*` when there is none).  Games that did not start from
+   * the standard position get SetUp and FEN tags, Chess960 games a
+   * Variant tag.
+   *
+   * @param {object} [headers] Tag name -> value
+   * @returns {string}
+   */
+  pgn(headers = {}) {
+    const tags = { ...headers };
+    if (this.chess960) tags.Variant = 'Chess960';
+    if (this._startFen !== STANDARD_FEN) {
+      tags.SetUp = '1';
+      tags.FEN = this._startFen;
+    }
+    const lines = Object.entries(tags).map(([name, value]) => `[${name} "${String(value).replace(/["\\]/g, '\\$&')}"]`);
+    const [, startTurn, , , , startNumber] = this._startFen.split(' ');
+    let moveNumber = Number(startNumber);
+    let white = startTurn === 'w';
+    const tokens = [];
+    this.history({ san: true }).forEach((san, i) => {
+      if (white) tokens.push(`${moveNumber}.`);
+      else if (i === 0) tokens.push(`${moveNumber}...`);
+      tokens.push(san);
+      if (!white) moveNumber++;
+      white = !white;
+    });
+    tokens.push(tags.Result || '*');
+    // Wrap movetext at 80 columns as the PGN export format asks
+    const movetext = [];
+    let line = '';
+    for (const token of tokens) {
+      if (line && line.length + 1 + token.length > 80) {
+        movetext.push(line);
+        line = token;
+      } else {
+        line = line ? line + ' ' + token : token;
+      }
+    }
+    movetext.push(line);
+    return lines.join('\n') + '\n\n' + movetext.join('\n') + '\n';
+  }
+
+  /**
+   * FEN of the position the game started from (set by reset() or load()).
+   */
+  startFen() {
+    return this._startFen;
+  }
+
+  /**
+   * Serialisable form of the game: the starting position plus every move
+   * played from it.  SimpleChess.fromJSON() rebuilds an identical
+   * instance, history included, so undo() keeps working after a restore.
+   */
+  toJSON() {
+    const data = { startFen: this._startFen, moves: this._history.map(entry => ({ ...entry.mv })) };
+    if (this.chess960) data.chess960 = true;
+    return data;
+  }
+
+  static fromJSON(data) {
+    const engine = new SimpleChess();
+    const { valid, errors } = engine.load(data.startFen, { chess960: Boolean(data.chess960) });
+    // Replaying the moves on any other position would corrupt the game
+    if (!valid) throw new Error(`invalid start position ${data.startFen}: ${errors.map(e => e.message).join('; ')}`);
+    for (const mv of data.moves) engine._makeMove(mv);
+    return engine;
+  }
+
   get(square) {
     const coords = this._squareToCoords(square);
     if (!coords) return null;
@@ -569,47 +1568,182 @@ class SimpleChess {
       if (empty > 0) fen += empty;
       if (r < 7) fen += '/';
     }
-    fen += ' ' + (this.turnColor === 'w' ? 'w' : 'b') + ' - - 0 1';
+    const castling = ['K', 'Q', 'k', 'q'].filter(right => this.castling[right]).map(right => this._castlingLetter(right)).join('') || '-';
+    fen += ' ' + (this.turnColor === 'w' ? 'w' : 'b');
+    fen += ' ' + castling + ' ' + (this.epSquare || '-');
+    fen += ' ' + this.halfmoves + ' ' + this.moveNumber;
     return fen;
   }
+
+  /**
+   * FEN letter for a castling right (X‑FEN): the usual K/Q/k/q when the
+   * rook is the outermost one on that side of the king, otherwise the
+   * rook's file.
+   */
+  _castlingLetter(right) {
+    const { color, side } = CASTLING_SIDES[right];
+    const row = color === 'w' ? 7 : 0;
+    const rook = color === 'w' ? 'R' : 'r';
+    const rookCol = this.castlingRooks[right];
+    const outer = side === 'k' ? [rookCol + 1, 8] : [0, rookCol];
+    const hasOuterRook = this.board[row].slice(...outer).includes(rook);
+    if (!hasOuterRook) return right;
+    const file = String.fromCharCode(97 + rookCol);
+    return color === 'w' ? file.toUpperCase() : file;
+  }
 }
 
 // ---------------------------------------------------------------------------
 // Rating helpers
 //
+// Ratings use the Glicko‑2 system implemented in rating.js.  The
+// scoreboard holds one rating record per player; these helpers hide
+// that so the rest of the server can keep dealing in plain numbers.
+
+function getRatingRecord(userId) {
+  // Return the player's rating record, or a fresh one if not yet set.
+  return scoreboard.get(userId) ?? newRating();
+}
+
 function getRating(userId) {
-  // Return the player's rating, defaulting to 1500 if not yet set.
-  return scoreboard.get(userId) ?? 1500;
+  // Return the player's rating rounded for display, defaulting to 1500.
+  return Math.round(getRatingRecord(userId).rating);
+}
+
+function ratingSummary(userId) {
+  // Rating fields included wherever a player is shown to clients.  The
+  // computer opponent has no rating.
+  if (userId.startsWith('bot:')) return { rating: null, provisional: false, bot: true };
+  const record = getRatingRecord(userId);
+  return { rating: Math.round(record.rating), provisional: isProvisional(record) };
+}
+
+/**
+ * Rate a finished game between two players ({ id, name } as in
+ * game.players).  `whiteScore` is 1 if white won, 0.5 for a draw and 0 if
+ * black won.  Each change is appended to the players' rating history.
+ * Returns the change in displayed rating for each colour, e.g.
+ * { w: 12, b: -12 }.
+ */
+function updateRatings(white, black, whiteScore, gameId) {
+  const before = { w: getRating(white.id), b: getRating(black.id) };
+  const rated = rateGame(getRatingRecord(white.id), getRatingRecord(black.id), whiteScore);
+  scoreboard.set(white.id, { ...rated.a, name: white.name });
+  scoreboard.set(black.id, { ...rated.b, name: black.name });
+  const change = { w: getRating(white.id) - before.w, b: getRating(black.id) - before.b };
+  const at = Date.now();
+  for (const [color, player] of [['w', white], ['b', black]]) {
+    const history = ratingHistory.get(player.id) ?? [];
+    history.push({ at, gameId, rating: getRating(player.id), change: change[color] });
+    ratingHistory.set(player.id, history);
+  }
+  return change;
+}
+
+// ---------------------------------------------------------------------------
+// Variants
+//
+// 'standard' games start from the usual position.  'chess960' games
+// start from a random Chess960 position (the same for both players, and
+// kept for rematches) and use its castling rules.  'fromPosition' games
+// start from a FEN supplied by a player; they are only available through
+// challenges and against the computer, and are never rated since the
+// position may favour one side.
+
+const VARIANTS = ['standard', 'chess960', 'fromPosition'];
+
+/**
+ * Check a FEN given for a 'fromPosition' game.  Returns { fen } with the
+ * normalised FEN, or { error } (with the engine's validation `errors`
+ * when the FEN itself is invalid).
+ */
+function validateStartFen(fen) {
+  if (typeof fen !== 'string' || !fen.trim()) return { error: 'fen is required for fromPosition games' };
+  const engine = new SimpleChess();
+  const { valid, errors } = engine.load(fen);
+  if (!valid) return { error: 'invalid FEN', errors };
+  if (engine.game_over()) return { error: 'the position is already decided' };
+  return { fen: engine.fen() };
 }
 
-function updateRatings(winnerId, loserId) {
-  const winnerRating = getRating(winnerId);
-  const loserRating = getRating(loserId);
-  // Winner gains 5 rating points
-  const newWinnerRating = winnerRating + 5;
-  // Loser loses 3 rating points normally; if loser has a higher rating
-  // than the winner before the game, they lose 4.  Ratings never
-  // drop below zero.
-  const penalty = loserRating > winnerRating ? 4 : 3;
-  const newLoserRating = Math.max(0, loserRating - penalty);
-  scoreboard.set(winnerId, newWinnerRating);
-  scoreboard.set(loserId, newLoserRating);
+/**
+ * Read the `variant` and `fen` request fields shared by the routes that
+ * start games.  Returns { variant, startFen } (startFen is null unless a
+ * position was given) or { error } ready to be sent as a 400 response.
+ */
+function parseVariant({ variant = 'standard', fen } = {}) {
+  if (!VARIANTS.includes(variant)) return { error: 'unknown variant', choices: VARIANTS };
+  if (variant !== 'fromPosition') {
+    if (fen !== undefined) return { error: 'fen is only used for fromPosition games' };
+    return { variant, startFen: null };
+  }
+  const { fen: startFen, ...error } = validateStartFen(fen);
+  return error.error ? error : { variant, startFen };
 }
 
 // ---------------------------------------------------------------------------
 // Matchmaking and game management
 
+// Queue lifecycle.  Each queue entry records when the player joined
+// (`ts`) and when we last heard from them (`seenAt`): every POST /match
+// and every GET /match/:id poll made as that player counts as a
+// heartbeat, as does an open /match/:id/events stream of theirs.  Polls
+// and streams that do not prove who they come from (see readerId()) are
+// served but never keep an entry alive.  Entries without a heartbeat for
+// QUEUE_STALE_MS are dropped, so players who closed the app are never
+// paired.  Every QUEUE_SWEEP_MS the queue is swept: stale entries are
+// removed and waiting players are paired again, since their rating
+// windows may have widened.
+const QUEUE_STALE_MS = 30 * 1000;
+const QUEUE_SWEEP_MS = 5 * 1000;
+
+// Matchmaking rating window: players are only paired when their rating
+// difference is within the window, which starts at `initial` points and
+// grows by `step` every `stepMs` of waiting, up to `max`.
+const RATING_WINDOW = { initial: 100, step: 50, stepMs: 5 * 1000, max: 1000 };
+
+function ratingWindow(waitedMs) {
+  return Math.min(RATING_WINDOW.max, RATING_WINDOW.initial + RATING_WINDOW.step * Math.floor(waitedMs / RATING_WINDOW.stepMs));
+}
+
+// userId -> number of open /match/:id/events streams opened by that
+// player themselves
+const ownStreams = new Map();
+
+function isStale(entry, now) {
+  if (ownStreams.has(entry.id)) return false;
+  return now - (entry.seenAt ?? entry.ts) > QUEUE_STALE_MS;
+}
+
+/**
+ * Remove a player from the queue, along with any pending bot fallback.
+ */
+function leaveQueue(userId) {
+  cancelBotFallback(userId);
+  return queue.delete(userId);
+}
+
 /**
  * Helper to find the closest rated opponent in the queue for the given player.
- * Returns the opponent entry or null if none found.  Opponents are selected
- * based on minimal absolute rating difference.
+ * Returns the opponent entry or null if none found.  Only players who asked
+ * for the same time control and are not stale are considered.  The rating
+ * difference must fall within the window of whichever of the two has
+ * waited longer; among those, opponents are selected based on minimal
+ * absolute rating difference.
  */
 function findBestOpponent(player) {
+  const now = Date.now();
   let bestId = null;
   let bestDiff = Infinity;
   for (const [id, u] of queue) {
     if (id === player.id) continue;
+    if (u.timeControl !== player.timeControl) continue;
+    if ((u.variant ?? 'standard') !== (player.variant ?? 'standard')) continue;
+    if (isStale(u, now)) continue;
+    // Queued players can start a game elsewhere, e.g. from a challenge
+    if (findActiveGame(id)) continue;
     const diff = Math.abs((u.rating ?? 1500) - (player.rating ?? 1500));
+    if (diff > ratingWindow(now - Math.min(u.ts, player.ts ?? now))) continue;
     if (diff < bestDiff) {
       bestDiff = diff;
       bestId = id;
@@ -618,231 +1752,1827 @@ function findBestOpponent(player) {
   return bestId ? queue.get(bestId) : null;
 }
 
-function createGame(playerA, playerB) {
-  // Assign colours randomly
-  const whiteFirst = Math.random() < 0.5;
-  const white = whiteFirst ? playerA : playerB;
-  const black = whiteFirst ? playerB : playerA;
-  const gameId = crypto.randomUUID();
-  const engine = new SimpleChess();
-  const newGame = {
-    id: gameId,
-    players: { w: { id: white.id, name: white.name }, b: { id: black.id, name: black.name } },
-    engine,
-    turn: 'w',
-    over: false,
-    result: null,
-    // Track the timestamp of the last move.  When the game is created, the
+/**
+ * Try to pair a queued player.  On success both leave the queue and the
+ * new game is returned; otherwise returns null.
+ */
+function pairFromQueue(entry) {
+  const opp = findBestOpponent(entry);
+  if (!opp) return null;
+  leaveQueue(entry.id);
+  leaveQueue(opp.id);
+  const gameInfo = createGame(entry, opp, { timeControl: entry.timeControl, variant: entry.variant });
+  return games.get(gameInfo.gameId);
+}
+
+/**
+ * Periodic queue maintenance: drop stale entries and retry pairing the
+ * rest, longest waiting first.
+ */
+function sweepQueue() {
+  const now = Date.now();
+  const waiting = [...queue.values()].sort((a, b) => a.ts - b.ts);
+  for (const entry of waiting) {
+    if (!queue.has(entry.id)) continue;
+    if (isStale(entry, now)) {
+      leaveQueue(entry.id);
+      continue;
+    }
+    pairFromQueue(entry);
+  }
+}
+
+/**
+ * Create a new game between two players and announce it to both.
+ * Colours are assigned randomly unless `colorA` fixes playerA's colour.
+ * `startFen` is the starting position of 'fromPosition' games, and of
+ * 'chess960' games when a particular one is wanted (a random one
+ * otherwise).
+ */
+function createGame(
+  playerA,
+  playerB,
+  { timeControl = DEFAULT_TIME_CONTROL, colorA = null, variant = 'standard', startFen = null } = {},
+) {
+  const whiteFirst = colorA ? colorA === 'w' : Math.random() < 0.5;
+  const white = whiteFirst ? playerA : playerB;
+  const black = whiteFirst ? playerB : playerA;
+  const gameId = crypto.randomUUID();
+  const engine = new SimpleChess();
+  if (variant === 'chess960') engine.load(startFen ?? chess960Fen(), { chess960: true });
+  else if (variant === 'fromPosition') engine.load(startFen);
+  const newGame = {
+    id: gameId,
+    players: {
+      w: { id: white.id, name: white.name, rating: white.bot ? null : getRating(white.id) },
+      b: { id: black.id, name: black.name, rating: black.bot ? null : getRating(black.id) },
+    },
+    createdAt: Date.now(),
+    variant,
+    engine,
+    moves: [],
+    turn: engine.turn(),
+    over: false,
+    result: null,
+    drawOffer: null,
+    // { color, level } when one side is played by the computer
+    bot: null,
+    // Track the timestamp of the last move.  When the game is created, the
     // first move has not yet been made, so we initialise this to the
     // current time.  Each successful move updates this value.
     lastMove: Date.now(),
+    // Remaining milliseconds per player at the start of their turn; the
+    // clock of the side to move starts running as soon as the game is
+    // created.
+    clock: {
+      control: timeControl,
+      w: TIME_CONTROLS[timeControl].baseMs,
+      b: TIME_CONTROLS[timeControl].baseMs,
+    },
+    flagTimer: null,
   };
   games.set(gameId, newGame);
-  return { gameId, whiteId: white.id, blackId: black.id, fen: engine.fen() };
+  indexActiveGame(newGame);
+  scheduleFlag(newGame);
+  // Tell both players (if subscribed) that their match is ready
+  for (const player of [white, black]) {
+    publish(`player:${player.id}`, 'match', matchInfo(newGame, player.id));
+  }
+  notifier?.matchFound(newGame);
+  return { gameId, whiteId: white.id, blackId: black.id, fen: engine.fen(), timeControl, variant };
+}
+
+/**
+ * Convert a game to plain JSON for storage.  The engine is reduced to
+ * its starting FEN and move list and the flag timer is left out.
+ */
+function serializeGame(game) {
+  const { flagTimer, ...rest } = game;
+  return { ...rest, engine: game.engine.toJSON() };
+}
+
+/**
+ * Rebuild a stored game, replaying its moves into a fresh SimpleChess.
+ * The flag timer is re‑armed at startup once all games are loaded.
+ */
+function restoreGame(data) {
+  return {
+    ...data,
+    variant: data.variant ?? 'standard',
+    engine: SimpleChess.fromJSON(data.engine),
+    moves: data.moves ?? [],
+    flagTimer: null,
+  };
+}
+
+/**
+ * Match status for one of the game's players, as returned by the match
+ * routes: { matched: true, gameId, color, opponent, fen, timeControl,
+ * variant }.
+ */
+function matchInfo(game, playerId) {
+  const color = playerColor(game, playerId);
+  const opponent = game.players[color === 'w' ? 'b' : 'w'];
+  return {
+    matched: true,
+    gameId: game.id,
+    color,
+    opponent: { id: opponent.id, name: opponent.name, ...ratingSummary(opponent.id) },
+    fen: game.engine.fen(),
+    timeControl: game.clock.control,
+    variant: game.variant,
+  };
+}
+
+/**
+ * Record an unfinished game in activeGames under its human players' ids.
+ */
+function indexActiveGame(game) {
+  for (const { id } of Object.values(game.players)) {
+    if (!id.startsWith('bot:')) activeGames.set(id, game.id);
+  }
+}
+
+/**
+ * The unfinished game the player is part of, or null.
+ */
+function findActiveGame(playerId) {
+  const game = games.get(activeGames.get(playerId));
+  return game && !game.over ? game : null;
+}
+
+/**
+ * Return the colour ('w' or 'b') the given user plays in the game, or
+ * null if they are not one of its players.
+ */
+function playerColor(game, playerId) {
+  if (game.players.w.id === playerId) return 'w';
+  if (game.players.b.id === playerId) return 'b';
+  return null;
+}
+
+/**
+ * Finish a game and record its result.  `winnerColor` is 'w' or 'b' for
+ * a decisive game and null for a draw.  Ratings are updated through the
+ * rating helpers unless `rated` is false (aborted games) or one of the
+ * players is the computer.
+ */
+function endGame(game, winnerColor, reason, { rated = true } = {}) {
+  let winnerId = null;
+  let loserId = null;
+  if (winnerColor) {
+    winnerId = game.players[winnerColor].id;
+    loserId = game.players[winnerColor === 'w' ? 'b' : 'w'].id;
+  }
+  // Games against the computer never touch the human rating pool, and
+  // games from a chosen position are always unrated
+  let ratingChange = null;
+  if (rated && !game.bot && game.variant !== 'fromPosition') {
+    const whiteScore = winnerColor === 'w' ? 1 : winnerColor === 'b' ? 0 : 0.5;
+    ratingChange = updateRatings(game.players.w, game.players.b, whiteScore, game.id);
+  }
+  // Freeze the running clock at its final reading
+  const turn = game.engine.turn();
+  game.clock[turn] = clockRemaining(game, turn);
+  clearTimeout(game.flagTimer);
+  game.over = true;
+  game.endedAt = Date.now();
+  game.drawOffer = null;
+  game.result = { winnerId, loserId, reason, ratingChange };
+  for (const { id } of Object.values(game.players)) {
+    if (activeGames.get(id) === game.id) activeGames.delete(id);
+  }
+  games.touch();
+  publishGame(game, 'end');
+  notifier?.gameOver(game);
+  return game.result;
+}
+
+/**
+ * Book‑keeping after a legal move (`legal`, as returned by engine.move())
+ * by `color`: update turn, press the clock (which also updates the
+ * timestamp of the last move) and record the move, push it to
+ * subscribers and end the game on mate or a draw.  Moving implicitly
+ * declines a draw offered by the opponent.  In bot games the computer's
+ * reply is scheduled.
+ */
+function afterMove(game, color, legal) {
+  const { engine } = game;
+  game.turn = engine.turn();
+  pressClock(game, color);
+  game.moves.push({
+    ply: game.moves.length + 1,
+    color,
+    playerId: game.players[color].id,
+    from: legal.from,
+    to: legal.to,
+    promotion: legal.promotion,
+    san: legal.san,
+    fen: engine.fen(),
+    at: game.lastMove,
+  });
+  if (game.drawOffer && game.drawOffer !== color) game.drawOffer = null;
+  // Push the move to subscribers before any `end` event it triggers
+  publishGame(game, 'move', { move: legal });
+  // Check for end of game
+  if (engine.in_checkmate()) {
+    // The side that just moved delivered mate
+    endGame(game, color, 'checkmate');
+  } else if (engine.in_draw()) {
+    let reason = 'threefold';
+    if (engine.in_stalemate()) reason = 'stalemate';
+    else if (engine.insufficient_material()) reason = 'insufficient-material';
+    else if (engine.in_fifty_moves()) reason = 'fifty-move';
+    endGame(game, null, reason);
+  }
+  // Only nudge players who do not have the game open: anyone on the
+  // game's event stream sees the move straight away.
+  if (subscriberCount(`game:${game.id}`) === 0) notifier?.turn(game, legal);
+  scheduleBotMove(game);
+}
+
+/**
+ * Push a game event to the players' channel and, with the read‑only
+ * spectator state, to the spectators' channel.  `extra` fields (such as
+ * the move just played) are added to both payloads.
+ */
+function publishGame(game, event, extra = {}) {
+  publish(`game:${game.id}`, event, { ...gameState(game), ...extra });
+  publish(`spectate:${game.id}`, event, { ...spectatorState(game), ...extra });
+}
+
+/**
+ * Send the current spectator count to the spectators' and the players'
+ * channels.
+ */
+function publishSpectatorCount(game) {
+  const data = { spectators: subscriberCount(`spectate:${game.id}`) };
+  publish(`spectate:${game.id}`, 'spectators', data);
+  publish(`game:${game.id}`, 'spectators', data);
+}
+
+/**
+ * Read‑only game state for spectators: the public parts of gameState()
+ * without anything only the players can act on (pending draw offers),
+ * plus how many people are watching.
+ */
+function spectatorState(game) {
+  const { drawOffer, rematchOffer, ...state } = gameState(game);
+  return { ...state, spectators: subscriberCount(`spectate:${game.id}`) };
+}
+
+/**
+ * Build the state object returned by the game routes: fen, turn, the
+ * variant and starting position, whether the game is over and its
+ * result, any pending draw offer, plus players with their up‑to‑date
+ * ratings (the client displays these in the UI).
+ */
+function gameState(game) {
+  const { engine, players } = game;
+  return {
+    fen: engine.fen(),
+    turn: engine.turn(),
+    variant: game.variant,
+    startFen: engine.startFen(),
+    over: game.over,
+    result: game.result,
+    drawOffer: game.drawOffer,
+    rematchOffer: game.rematchOffer ?? null,
+    series: seriesInfo(game),
+    // Remaining milliseconds per player and which clock is running
+    clock: {
+      control: game.clock.control,
+      w: clockRemaining(game, 'w'),
+      b: clockRemaining(game, 'b'),
+      running: game.over ? null : engine.turn(),
+    },
+    players: {
+      w: { id: players.w.id, name: players.w.name, ...ratingSummary(players.w.id) },
+      b: { id: players.b.id, name: players.b.name, ...ratingSummary(players.b.id) },
+    },
+    lastMove: game.lastMove,
+  };
+}
+
+/**
+ * Common preamble for routes where a player acts on a running game.
+ * Looks the game up, applies any pending timeout and checks that the
+ * authenticated caller (see authenticate()) plays in it.  On failure the
+ * response has already been sent and null is returned; otherwise returns
+ * { game, color }.
+ */
+function requireActivePlayer(req, res) {
+  const game = games.get(req.params.id);
+  if (!game) {
+    res.status(404).json({ error: 'game not found' });
+    return null;
+  }
+  // If the game has timed out before this action, return the final
+  // state as a normal response so clients can update their boards and
+  // ratings.  Do not attempt to process the action.
+  if (checkTimeout(game)) {
+    res.json(gameState(game));
+    return null;
+  }
+  if (game.over) {
+    res.status(400).json({ error: 'game already over' });
+    return null;
+  }
+  const color = playerColor(game, req.player.id);
+  if (!color) {
+    res.status(403).json({ error: 'you are not a player in this game' });
+    return null;
+  }
+  return { game, color };
+}
+
+// ---------------------------------------------------------------------------
+// Computer opponent
+//
+// The computer (see bot.js) takes part in games like any other player:
+// its id is `bot:<level>` and the game's `bot` field records which colour
+// it plays.  Its replies are computed a moment after the human's move so
+// the human's response goes out first.  Players can start a bot game
+// directly with POST /match/bot, or ask POST /match to fall back to one
+// when no human opponent turns up within BOT_FALLBACK_MS.
+
+const BOT_MOVE_DELAY_MS = 300;
+const BOT_FALLBACK_MS = 30 * 1000;
+
+// userId -> timer that starts a bot game for a queued player
+const fallbackTimers = new Map();
+
+function botPlayer(level) {
+  return { id: `bot:${level}`, name: `Computer (${level})`, bot: true };
+}
+
+/**
+ * If it is the computer's turn, play its move after BOT_MOVE_DELAY_MS.
+ */
+function scheduleBotMove(game) {
+  if (!game.bot || game.over || game.engine.turn() !== game.bot.color) return;
+  setTimeout(() => {
+    if (checkTimeout(game) || game.over || game.engine.turn() !== game.bot.color) return;
+    const choice = chooseMove(game.engine, game.bot.level, { timeMs: BOT_LEVELS[game.bot.level].timeMs });
+    if (!choice) return;
+    afterMove(game, game.bot.color, game.engine.move(choice));
+  }, BOT_MOVE_DELAY_MS);
+}
+
+/**
+ * Start a game between a human and the computer.  `color` is the human's
+ * colour or null for a random one.
+ */
+function createBotGame(human, level, { timeControl = DEFAULT_TIME_CONTROL, color = null, variant, startFen } = {}) {
+  const gameInfo = createGame(human, botPlayer(level), { timeControl, colorA: color, variant, startFen });
+  const game = games.get(gameInfo.gameId);
+  game.bot = { color: gameInfo.whiteId === human.id ? 'b' : 'w', level };
+  games.touch();
+  scheduleBotMove(game);
+  return game;
 }
 
+/**
+ * Arm the bot fallback for a queued player: if they are still waiting
+ * BOT_FALLBACK_MS after joining, pair them with the computer instead.
+ */
+function armBotFallback(entry) {
+  clearTimeout(fallbackTimers.get(entry.id));
+  const wait = Math.max(0, entry.ts + BOT_FALLBACK_MS - Date.now());
+  fallbackTimers.set(
+    entry.id,
+    setTimeout(() => {
+      fallbackTimers.delete(entry.id);
+      if (!queue.has(entry.id)) return;
+      queue.delete(entry.id);
+      createBotGame(entry, entry.botFallback, { timeControl: entry.timeControl, variant: entry.variant });
+    }, wait),
+  );
+}
+
+function cancelBotFallback(userId) {
+  clearTimeout(fallbackTimers.get(userId));
+  fallbackTimers.delete(userId);
+}
+
+// POST /match/bot
+// Body: { initData: string, level?: 'easy' | 'medium' | 'hard',
+//         color?: 'w' | 'b', timeControl?: string,
+//         variant?: 'standard' | 'chess960' | 'fromPosition', fen?: string }
+// Starts a game against the computer straight away, from `fen` for
+// 'fromPosition' games.  Bot games are not rated.  Players already in a
+// game get 409.  Response: the same match payload as POST /match.
+app.post('/match/bot', asPlayer(limits.matchmaking), (req, res) => {
+  const { level = 'medium', color = null, timeControl = DEFAULT_TIME_CONTROL } = req.body;
+  if (findActiveGame(req.player.id)) {
+    res.status(409).json({ error: 'you are already in a game' });
+    return;
+  }
+  const { variant, startFen, ...variantError } = parseVariant(req.body);
+  if (variantError.error) {
+    res.status(400).json(variantError);
+    return;
+  }
+  if (!Object.hasOwn(BOT_LEVELS, level)) {
+    res.status(400).json({ error: 'unknown bot level', choices: Object.keys(BOT_LEVELS) });
+    return;
+  }
+  if (color !== null && color !== 'w' && color !== 'b') {
+    res.status(400).json({ error: "color must be 'w' or 'b'" });
+    return;
+  }
+  if (!Object.hasOwn(TIME_CONTROLS, timeControl)) {
+    res.status(400).json({ error: 'unknown time control', choices: Object.keys(TIME_CONTROLS) });
+    return;
+  }
+  leaveQueue(req.player.id);
+  const game = createBotGame(req.player, level, { timeControl, color, variant, startFen });
+  res.json(matchInfo(game, req.player.id));
+});
+
 // POST /match
-// Body: { id: string, name: string, rating: number, initData?: string }
+// Body: { initData: string,
+//         timeControl?: 'bullet' | 'blitz' | 'rapid' | 'correspondence',
+//         botFallback?: 'easy' | 'medium' | 'hard',
+//         variant?: 'standard' | 'chess960' }
+// The player's id and name come from the signed initData (or from the
+// `id` and `name` fields with ALLOW_INSECURE_AUTH, see authenticate()).
 // Response: { matched: false } if no opponent yet, or
-// { matched: true, gameId, color, opponent: { id, name, rating }, fen }
-app.post('/match', (req, res) => {
-  const { id, name, rating } = req.body || {};
-  if (!id || !name) {
-    res.status(400).json({ error: 'id and name are required' });
-    return;
-  }
-  // Ensure rating is a number.  Determine this player's current rating
-  // from the scoreboard or use the provided rating as a starting value.
-  const parsedRating = Number(rating) || getRating(id);
-  // Save current rating to scoreboard if not present
-  if (!scoreboard.has(id)) scoreboard.set(id, parsedRating);
-  const me = { id: String(id), name: String(name), rating: parsedRating };
-  // See if this user is already waiting; if so, update their timestamp
-  queue.set(me.id, { ...me, ts: Date.now() });
+// { matched: true, gameId, color, opponent: { id, name, rating }, fen, timeControl, variant }
+// The time control defaults to blitz and the variant to standard;
+// players are only paired with opponents who asked for the same ones.
+// With `botFallback` the player is paired with the computer at that
+// level if no human is found within BOT_FALLBACK_MS.  Players already in
+// a game get 409.
+app.post('/match', asPlayer(limits.matchmaking), (req, res) => {
+  const { timeControl = DEFAULT_TIME_CONTROL, botFallback = null, variant = 'standard' } = req.body;
+  const { id, name } = req.player;
+  if (!Object.hasOwn(TIME_CONTROLS, timeControl)) {
+    res.status(400).json({ error: 'unknown time control', choices: Object.keys(TIME_CONTROLS) });
+    return;
+  }
+  if (variant !== 'standard' && variant !== 'chess960') {
+    res.status(400).json({ error: 'matchmaking is only available for standard and chess960 games', choices: ['standard', 'chess960'] });
+    return;
+  }
+  if (botFallback !== null && !Object.hasOwn(BOT_LEVELS, botFallback)) {
+    res.status(400).json({ error: 'unknown bot level', choices: Object.keys(BOT_LEVELS) });
+    return;
+  }
+  if (findActiveGame(id)) {
+    res.status(409).json({ error: 'you are already in a game' });
+    return;
+  }
+  // Ratings only ever come from the scoreboard; new players start at the
+  // default rating, whatever the client claims
+  const rating = getRating(id);
+  if (!scoreboard.has(id)) scoreboard.set(id, newRating());
+  // See if this user is already waiting; if so, keep their original
+  // join time (which drives the rating window) and record the heartbeat
+  const now = Date.now();
+  const ts = queue.get(id)?.ts ?? now;
+  queue.set(id, { id, name, rating, timeControl, variant, botFallback, ts, seenAt: now });
   // Attempt to find the best opponent
-  const opp = findBestOpponent(me);
-  if (opp) {
-    queue.delete(me.id);
-    queue.delete(opp.id);
-    const gameInfo = createGame(me, opp);
-    // Determine my colour and opponent info
-    const myColor = gameInfo.whiteId === me.id ? 'w' : 'b';
-    const opponent = { id: opp.id, name: opp.name, rating: getRating(opp.id) };
-    res.json({ matched: true, gameId: gameInfo.gameId, color: myColor, opponent, fen: gameInfo.fen });
+  const game = pairFromQueue(queue.get(id));
+  if (game) {
+    res.json(matchInfo(game, id));
     return;
   }
   // No opponent yet; return matched:false
+  if (botFallback) armBotFallback(queue.get(id));
+  else cancelBotFallback(id);
   res.json({ matched: false });
 });
 
+// DELETE /match/:id
+// Body: { initData: string }
+// Leaves the matchmaking queue.  Players can only remove themselves.
+// Response: { queued: false, left: boolean } where `left` says whether
+// the player was waiting.
+app.delete('/match/:id', asPlayer(limits.matchmaking), (req, res) => {
+  const id = String(req.params.id);
+  if (id !== req.player.id) {
+    res.status(403).json({ error: 'you can only leave the queue yourself' });
+    return;
+  }
+  res.json({ queued: false, left: leaveQueue(id) });
+});
+
 // GET /match/:id
 // Returns match status for a player.  If the player has been paired
 // into a game, returns the same data structure as POST /match when a
-// match is found; otherwise returns { matched: false }.  This
-// endpoint allows clients to poll for match results if the POST call
-// initially returned matched: false.
+// match is found; otherwise returns { matched: false, queued } where
+// `queued` says whether they are still waiting.  This endpoint allows
+// clients to poll for match results if the POST call initially
+// returned matched: false.  A poll made as the player themselves (see
+// readerId()) also serves as the queue heartbeat.
 app.get('/match/:id', (req, res) => {
   const id = String(req.params.id);
   // Search through active games to see if this user is part of one
-  for (const [gid, game] of games) {
-    if ((game.players.w.id === id || game.players.b.id === id) && !game.over) {
-      const myColor = game.players.w.id === id ? 'w' : 'b';
-      const opponent = myColor === 'w' ? game.players.b : game.players.w;
-      return res.json({
-        matched: true,
-        gameId: gid,
-        color: myColor,
-        opponent: { id: opponent.id, name: opponent.name, rating: getRating(opponent.id) },
-        fen: game.engine.fen(),
-      });
-    }
+  const game = findActiveGame(id);
+  if (game) {
+    res.json(matchInfo(game, id));
+    return;
   }
-  // If not paired yet, indicate no match
-  res.json({ matched: false });
+  // If not paired yet, record the heartbeat and indicate no match
+  const entry = queue.get(id);
+  if (entry && readerId(req) === id) {
+    entry.seenAt = Date.now();
+    queue.touch();
+  }
+  res.json({ matched: false, queued: Boolean(entry) });
 });
 
-// GET /game/:id
-// Returns current game state: fen, turn color, whether game is over and
-// result info, plus players and their ratings.  If the game does not
-// exist, returns 404.
-app.get('/game/:id', (req, res) => {
-  const gameId = req.params.id;
-  const game = games.get(gameId);
-  if (!game) {
-    res.status(404).json({ error: 'game not found' });
+// GET /match/:id/events
+// Server‑Sent Events stream of the player's match status.  Sends a
+// `match` event straight away with the same payload as GET /match/:id,
+// and another one when the player is paired into a new game.  While a
+// stream opened as the player themselves (see readerId()) is open,
+// their queue entry does not go stale.
+app.get('/match/:id/events', (req, res) => {
+  const id = String(req.params.id);
+  const game = findActiveGame(id);
+  subscribe(`player:${id}`, req, res, { event: 'match', data: game ? matchInfo(game, id) : { matched: false } });
+  if (readerId(req) !== id) return;
+  ownStreams.set(id, (ownStreams.get(id) ?? 0) + 1);
+  req.on('close', () => {
+    const left = ownStreams.get(id) - 1;
+    if (left > 0) ownStreams.set(id, left);
+    else ownStreams.delete(id);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Private challenges
+//
+// A player creates a challenge with their colour and time control and
+// shares its token, usually as a Telegram deep link that opens the
+// web‑app with `startapp=challenge_<token>`.  The game is created when
+// the invitee accepts.  Challenges can also be declined by the invitee,
+// cancelled by their creator, and expire after CHALLENGE_TTL_MS.  Once
+// settled or expired a challenge stays visible for CHALLENGE_KEEP_MS, so
+// both players can see what became of it, and is then deleted.
+
+const CHALLENGE_TTL_MS = 24 * 60 * 60 * 1000;
+const CHALLENGE_KEEP_MS = 60 * 60 * 1000;
+
+/**
+ * Look up a challenge by token, marking it expired if its time is up.
+ * Sends a 404 and returns null if there is no such challenge.
+ */
+function findChallenge(req, res) {
+  const challenge = challenges.get(req.params.token);
+  if (!challenge) {
+    res.status(404).json({ error: 'challenge not found' });
+    return null;
+  }
+  if (challenge.status === 'pending' && Date.now() > challenge.expiresAt) {
+    challenge.status = 'expired';
+    challenges.touch();
+  }
+  return challenge;
+}
+
+/**
+ * Deep link that opens the web‑app with the given start parameter, or
+ * null when BOT_USERNAME is not configured.
+ */
+function startAppLink(param) {
+  if (!BOT_USERNAME) return null;
+  const app = WEBAPP_NAME ? `${BOT_USERNAME}/${WEBAPP_NAME}` : BOT_USERNAME;
+  return `https://t.me/${app}?startapp=${param}`;
+}
+
+function challengeLink(token) {
+  return startAppLink(`challenge_${token}`);
+}
+
+function challengeView(challenge) {
+  return { ...challenge, link: challengeLink(challenge.token) };
+}
+
+/**
+ * Record a new status and tell the creator (if subscribed to their match
+ * channel) what happened to the challenge.
+ */
+function settleChallenge(challenge, status) {
+  challenge.status = status;
+  challenge.settledAt = Date.now();
+  challenges.touch();
+  publish(`player:${challenge.creator.id}`, 'challenge', challengeView(challenge));
+}
+
+/**
+ * Delete challenges that were settled or expired more than
+ * CHALLENGE_KEEP_MS ago.  Run by the background sweeper.
+ */
+function sweepChallenges() {
+  const cutoff = Date.now() - CHALLENGE_KEEP_MS;
+  for (const challenge of challenges.values()) {
+    const endedAt = challenge.settledAt ?? challenge.expiresAt;
+    if (endedAt < cutoff) challenges.delete(challenge.token);
+  }
+}
+
+// POST /challenge
+// Body: { initData: string, color?: 'w' | 'b' | 'random',
+//         timeControl?: string, invitee?: string,
+//         variant?: 'standard' | 'chess960' | 'fromPosition', fen?: string }
+// Creates a challenge.  `color` is the creator's colour (random by
+// default); `invitee` optionally restricts who may accept; `fen` is the
+// starting position of 'fromPosition' games.  Response: the challenge
+// including its `token` and shareable `link`.
+app.post('/challenge', asPlayer(limits.matchmaking), (req, res) => {
+  const { color = 'random', timeControl = DEFAULT_TIME_CONTROL, invitee } = req.body;
+  const { variant, startFen, ...variantError } = parseVariant(req.body);
+  if (variantError.error) {
+    res.status(400).json(variantError);
     return;
   }
-  // Before returning the state, check whether the game has timed out.
-  // If a timeout occurs, update ratings and mark the game as over.
-  checkTimeout(game);
-  const { engine, players, over, result } = game;
-  const state = {
-    fen: engine.fen(),
-    turn: engine.turn(),
-    over,
-    result,
-    players: {
-      w: { id: players.w.id, name: players.w.name, rating: getRating(players.w.id) },
-      b: { id: players.b.id, name: players.b.name, rating: getRating(players.b.id) },
-    },
-    lastMove: game.lastMove,
+  if (!['w', 'b', 'random'].includes(color)) {
+    res.status(400).json({ error: "color must be 'w', 'b' or 'random'" });
+    return;
+  }
+  if (!Object.hasOwn(TIME_CONTROLS, timeControl)) {
+    res.status(400).json({ error: 'unknown time control', choices: Object.keys(TIME_CONTROLS) });
+    return;
+  }
+  if (invitee !== undefined && invitee !== null && !isPlayerId(invitee)) {
+    res.status(400).json({ error: `invitee must be a player id of at most ${MAX_ID_LENGTH} characters` });
+    return;
+  }
+  const now = Date.now();
+  const challenge = {
+    token: crypto.randomBytes(12).toString('base64url'),
+    creator: { id: req.player.id, name: req.player.name },
+    invitee: invitee === undefined || invitee === null ? null : String(invitee),
+    color,
+    timeControl,
+    variant,
+    startFen,
+    status: 'pending',
+    createdAt: now,
+    expiresAt: now + CHALLENGE_TTL_MS,
+    gameId: null,
   };
-  res.json(state);
+  challenges.set(challenge.token, challenge);
+  res.json(challengeView(challenge));
 });
 
-// POST /game/:id/move
-// Body: { playerId: string, from: string, to: string, promotion?: string }
-// Executes a move if it is legal and it is the player's turn.  Returns the
-// updated game state (like GET /game) or an error message.
-app.post('/game/:id/move', (req, res) => {
-  const gameId = req.params.id;
-  const { playerId, from, to, promotion } = req.body || {};
-  const game = games.get(gameId);
-  if (!game) {
-    res.status(404).json({ error: 'game not found' });
+// GET /challenge/:token
+// Returns the challenge so the invitee can see who is asking and with
+// which settings before accepting.
+app.get('/challenge/:token', (req, res) => {
+  const challenge = findChallenge(req, res);
+  if (!challenge) return;
+  res.json(challengeView(challenge));
+});
+
+// POST /challenge/:token/accept
+// Body: { initData: string }
+// Accepts a pending challenge and creates the game; both players leave
+// the matchmaking queue.  Fails with 409 while either player is busy in
+// another game.  Response: the same match payload as POST /match.
+app.post('/challenge/:token/accept', asPlayer(limits.matchmaking), (req, res) => {
+  const challenge = findChallenge(req, res);
+  if (!challenge) return;
+  const me = req.player;
+  if (challenge.status !== 'pending') {
+    res.status(400).json({ error: `challenge is ${challenge.status}` });
     return;
   }
-  // Check for timeout before processing the move.  If the game has
-  // already timed out, respond with the final state and do not allow
-  // further moves.
-  if (checkTimeout(game)) {
-    // If the game has timed out before this move, return the final
-    // state as a normal response so clients can update their boards
-    // and ratings.  Do not attempt to process the move.
-    const { engine, players, over, result } = game;
-    const state = {
-      fen: engine.fen(),
-      turn: engine.turn(),
-      over,
-      result,
-      players: {
-        w: { id: players.w.id, name: players.w.name, rating: getRating(players.w.id) },
-        b: { id: players.b.id, name: players.b.name, rating: getRating(players.b.id) },
-      },
-    };
-    res.json(state);
+  if (challenge.creator.id === me.id) {
+    res.status(400).json({ error: 'you cannot accept your own challenge' });
     return;
   }
-  if (!playerId || !from || !to) {
-    res.status(400).json({ error: 'playerId, from and to are required' });
+  if (challenge.invitee && challenge.invitee !== me.id) {
+    res.status(403).json({ error: 'this challenge is for another player' });
     return;
   }
-  const { engine, players, over } = game;
-  if (over) {
-    res.status(400).json({ error: 'game already over' });
+  if (findActiveGame(me.id) || findActiveGame(challenge.creator.id)) {
+    res.status(409).json({ error: 'a player is already in another game' });
     return;
   }
-  // Check if it's the player's turn
-  const myColor = players.w.id === playerId ? 'w' : players.b.id === playerId ? 'b' : null;
-  if (!myColor) {
-    res.status(403).json({ error: 'you are not a player in this game' });
+  leaveQueue(me.id);
+  leaveQueue(challenge.creator.id);
+  if (!scoreboard.has(me.id)) scoreboard.set(me.id, newRating());
+  const colorA = challenge.color === 'random' ? null : challenge.color;
+  const { gameId } = createGame(challenge.creator, me, {
+    timeControl: challenge.timeControl,
+    colorA,
+    variant: challenge.variant ?? 'standard',
+    startFen: challenge.startFen ?? null,
+  });
+  challenge.gameId = gameId;
+  settleChallenge(challenge, 'accepted');
+  res.json(matchInfo(games.get(gameId), me.id));
+});
+
+// POST /challenge/:token/decline
+// Body: { initData: string }
+// Declines a pending challenge.  Anyone but the creator may decline an
+// open challenge; one with an invitee can only be declined by them.
+app.post('/challenge/:token/decline', asPlayer(limits.matchmaking), (req, res) => {
+  const challenge = findChallenge(req, res);
+  if (!challenge) return;
+  if (challenge.status !== 'pending') {
+    res.status(400).json({ error: `challenge is ${challenge.status}` });
     return;
   }
-  if (myColor !== engine.turn()) {
-    res.status(400).json({ error: 'not your turn' });
+  if (challenge.creator.id === req.player.id || (challenge.invitee && challenge.invitee !== req.player.id)) {
+    res.status(403).json({ error: 'only the invited player can decline' });
     return;
   }
-  // Attempt to make the move
-  const mv = { from: from.toLowerCase(), to: to.toLowerCase() };
-  if (promotion) mv.promotion = promotion.toLowerCase();
-  const legal = engine.move(mv);
-  if (!legal) {
-    res.status(400).json({ error: 'illegal move' });
+  settleChallenge(challenge, 'declined');
+  res.json(challengeView(challenge));
+});
+
+// POST /challenge/:token/cancel
+// Body: { initData: string }
+// Withdraws a pending challenge.  Only its creator may cancel it.
+app.post('/challenge/:token/cancel', asPlayer(limits.matchmaking), (req, res) => {
+  const challenge = findChallenge(req, res);
+  if (!challenge) return;
+  if (challenge.status !== 'pending') {
+    res.status(400).json({ error: `challenge is ${challenge.status}` });
     return;
   }
-  // Update turn and timestamp of last move
-  game.turn = engine.turn();
-  game.lastMove = Date.now();
-  // Check for end of game
-  let result = null;
-  if (engine.in_checkmate()) {
-    // Current turn is the side to move after the move; so winner is opposite
-    const winnerColor = engine.turn() === 'w' ? 'b' : 'w';
-    const loserColor = engine.turn();
-    const winnerId = winnerColor === 'w' ? game.players.w.id : game.players.b.id;
-    const loserId = loserColor === 'w' ? game.players.w.id : game.players.b.id;
-    // Update ratings when a checkmate occurs.  We previously used
-    // updateBalances() when jettons were used; however, the server now
-    // maintains a rating scoreboard.  Use updateRatings() to adjust
-    // Elo‑style ratings based on the game outcome.
-    updateRatings(winnerId, loserId);
-    result = { winnerId, loserId, reason: 'checkmate' };
-    game.over = true;
-    game.result = result;
-  } else if (engine.in_stalemate()) {
-    // Stalemate: no rating change
-    result = { winnerId: null, loserId: null, reason: 'stalemate' };
-    game.over = true;
-    game.result = result;
-  }
-  // Prepare response state
-  const state = {
-    fen: engine.fen(),
-    turn: engine.turn(),
-    over: game.over,
-    result: game.result,
-    players: {
-      // Return up‑to‑date ratings for both players.  The client uses
-      // these values to display current ratings in the UI.
-      w: { id: game.players.w.id, name: game.players.w.name, rating: getRating(game.players.w.id) },
-      b: { id: game.players.b.id, name: game.players.b.name, rating: getRating(game.players.b.id) },
-    },
-  };
-  res.json(state);
-  // Do not delete finished games; keeping them allows clients to
-  // retrieve final state and updated ratings.  When matching new
-  // opponents, GET /match/:id skips over finished games using the
-  // `over` flag.
+  if (challenge.creator.id !== req.player.id) {
+    res.status(403).json({ error: 'only the creator can cancel a challenge' });
+    return;
+  }
+  settleChallenge(challenge, 'cancelled');
+  res.json(challengeView(challenge));
+});
+
+// ---------------------------------------------------------------------------
+// Game listing
+
+// Finished games stay in the listing for this long after they ended.
+const RECENT_GAMES_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Summary of a game for the listing.  `averageRating` ignores the
+ * computer, which has no rating.
+ */
+function gameSummary(game) {
+  const { players } = game;
+  const ratings = ['w', 'b'].map(color => ratingSummary(players[color].id).rating).filter(r => r !== null);
+  return {
+    id: game.id,
+    players: {
+      w: { id: players.w.id, name: players.w.name, ...ratingSummary(players.w.id) },
+      b: { id: players.b.id, name: players.b.name, ...ratingSummary(players.b.id) },
+    },
+    averageRating: Math.round(ratings.reduce((sum, r) => sum + r, 0) / ratings.length),
+    timeControl: game.clock.control,
+    variant: game.variant,
+    turn: game.engine.turn(),
+    moveCount: game.moves.length,
+    over: game.over,
+    result: game.result,
+    spectators: subscriberCount(`spectate:${game.id}`),
+    createdAt: game.createdAt,
+    lastMove: game.lastMove,
+  };
+}
+
+// GET /games?status=&player=&minRating=&maxRating=&limit=
+// Lists ongoing games and games finished within RECENT_GAMES_MS, highest
+// average rating first.  `status` is 'live', 'finished' or 'all' (the
+// default); `player` keeps games that user plays in; `minRating` and
+// `maxRating` bound the average rating; `limit` caps the number of
+// results (50 by default, at most 200).
+app.get('/games', (req, res) => {
+  const { status = 'all', player } = req.query;
+  if (!['live', 'finished', 'all'].includes(status)) {
+    res.status(400).json({ error: "status must be 'live', 'finished' or 'all'" });
+    return;
+  }
+  const minRating = req.query.minRating === undefined ? -Infinity : Number(req.query.minRating);
+  const maxRating = req.query.maxRating === undefined ? Infinity : Number(req.query.maxRating);
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (Number.isNaN(minRating) || Number.isNaN(maxRating) || !Number.isInteger(limit) || limit < 1) {
+    res.status(400).json({ error: 'minRating, maxRating and limit must be numbers' });
+    return;
+  }
+  const now = Date.now();
+  const listed = [];
+  for (const game of games.values()) {
+    checkTimeout(game);
+    if (game.result && game.result.reason === 'aborted') continue;
+    if (game.over && now - (game.endedAt ?? game.lastMove) > RECENT_GAMES_MS) continue;
+    if (status === 'live' && game.over) continue;
+    if (status === 'finished' && !game.over) continue;
+    if (player && !playerColor(game, String(player))) continue;
+    const summary = gameSummary(game);
+    if (summary.averageRating < minRating || summary.averageRating > maxRating) continue;
+    listed.push(summary);
+  }
+  listed.sort((a, b) => b.averageRating - a.averageRating);
+  res.json({ games: listed.slice(0, Math.min(limit, 200)) });
+});
+
+// GET /game/:id
+// Returns current game state: fen, turn color, whether game is over and
+// result info, the colour with a pending draw offer, plus players and
+// their ratings.  If the game does not exist, returns 404.
+app.get('/game/:id', (req, res) => {
+  const gameId = req.params.id;
+  const game = games.get(gameId);
+  if (!game) {
+    res.status(404).json({ error: 'game not found' });
+    return;
+  }
+  // Before returning the state, check whether the game has timed out.
+  // If a timeout occurs, update ratings and mark the game as over.
+  checkTimeout(game);
+  res.json(gameState(game));
+});
+
+// GET /game/:id/moves?since=N
+// Returns the moves recorded for a game, skipping the first N (default
+// 0), so a reconnecting client can fetch only what it missed and a
+// finished game can be stepped through move by move.  Each move carries
+// its ply number, the mover's colour and id, the move in coordinates and
+// SAN, the FEN after it and when it was played.  Response:
+// { startFen, total, moves: [...] }
+app.get('/game/:id/moves', (req, res) => {
+  const game = games.get(req.params.id);
+  if (!game) {
+    res.status(404).json({ error: 'game not found' });
+    return;
+  }
+  const since = req.query.since === undefined ? 0 : Number(req.query.since);
+  if (!Number.isInteger(since) || since < 0) {
+    res.status(400).json({ error: 'since must be a non-negative integer' });
+    return;
+  }
+  res.json({ startFen: game.engine.startFen(), total: game.moves.length, moves: game.moves.slice(since) });
+});
+
+// GET /game/:id/spectate
+// Read‑only game state for spectators (see spectatorState()), including
+// the current spectator count.
+app.get('/game/:id/spectate', (req, res) => {
+  const game = games.get(req.params.id);
+  if (!game) {
+    res.status(404).json({ error: 'game not found' });
+    return;
+  }
+  checkTimeout(game);
+  res.json(spectatorState(game));
+});
+
+// GET /game/:id/spectate/events
+// Server‑Sent Events stream for spectators.  Sends the same `state`,
+// `move` and `end` events as GET /game/:id/events but with spectator
+// state; each open stream counts as one spectator.  Whenever a
+// spectator joins or leaves, a `spectators` event with the new count
+// ({ spectators }) goes to the spectators and the players.
+app.get('/game/:id/spectate/events', (req, res) => {
+  const game = games.get(req.params.id);
+  if (!game) {
+    res.status(404).json({ error: 'game not found' });
+    return;
+  }
+  checkTimeout(game);
+  subscribe(`spectate:${game.id}`, req, res, () => ({ event: 'state', data: spectatorState(game) }));
+  publishSpectatorCount(game);
+  // subscribe() registered its own close handler first, so the count is
+  // already down by one when this runs
+  req.on('close', () => publishSpectatorCount(game));
+});
+
+// GET /game/:id/events
+// Server‑Sent Events stream for a game.  Events:
+//   state – sent on connect and when a draw offer changes (game state)
+//   move  – after every successful move (game state plus `move`)
+//   end   – when the game finishes for any reason, timeouts included
+//           (final game state)
+//   spectators – when a spectator joins or leaves ({ spectators })
+app.get('/game/:id/events', (req, res) => {
+  const game = games.get(req.params.id);
+  if (!game) {
+    res.status(404).json({ error: 'game not found' });
+    return;
+  }
+  checkTimeout(game);
+  subscribe(`game:${game.id}`, req, res, { event: 'state', data: gameState(game) });
+});
+
+// Board squares as accepted in move requests.
+const SQUARE_RE = /^[a-h][1-8]$/i;
+
+function isSquare(value) {
+  return typeof value === 'string' && SQUARE_RE.test(value);
+}
+
+/**
+ * Read the move from the body of a move request: either `move`, as SAN
+ * or UCI text resolved against the position in `engine`, or `from`, `to`
+ * and `promotion`.  Returns a move for engine.move(), which still checks
+ * its legality, or sends a 400 and returns null.
+ */
+function readMove(req, res, engine) {
+  const { from, to, promotion, move: text } = req.body;
+  if (!text && (!from || !to)) {
+    res.status(400).json({ error: 'move, or from and to, are required' });
+    return null;
+  }
+  if (text ? typeof text !== 'string' || text.length > 16 : !isSquare(from) || !isSquare(to)) {
+    res.status(400).json({ error: text ? 'move must be a SAN or UCI string' : 'from and to must be squares such as e2' });
+    return null;
+  }
+  if (text) {
+    // Text input: resolve SAN or UCI against the legal moves, listing
+    // what the player could have meant if it does not match exactly one
+    const parsed = engine.parseMove(text);
+    if (parsed.error) {
+      res.status(400).json({ error: parsed.error, candidates: parsed.candidates });
+      return null;
+    }
+    return parsed.move;
+  }
+  const mv = { from: from.toLowerCase(), to: to.toLowerCase() };
+  if (promotion) {
+    mv.promotion = String(promotion).toLowerCase();
+    if (!PROMOTION_PIECES.includes(mv.promotion)) {
+      res.status(400).json({ error: 'invalid promotion piece', choices: PROMOTION_PIECES });
+      return null;
+    }
+  } else if (engine.isPromotion(mv.from, mv.to)) {
+    res.status(400).json({ error: 'promotion piece required', choices: PROMOTION_PIECES });
+    return null;
+  }
+  return mv;
+}
+
+// POST /game/:id/move
+// Body: { initData: string, from: string, to: string, promotion?: 'q'|'r'|'b'|'n' }
+//    or { initData: string, move: string }
+// Executes a move if it is legal and it is the player's turn.  A pawn
+// reaching the last rank must name its promotion piece.  Castling is
+// sent as the king's move (e.g. e1g1) and en passant as the pawn's move
+// to the target square.  Alternatively `move` holds the move as text in
+// SAN (`Nf3`, `O-O`, `e8=Q`) or UCI (`e7e8n`); if it is malformed,
+// illegal or ambiguous the error lists the candidate moves in SAN.
+// Returns the updated game state (like GET /game) plus the executed
+// move, or an error message.
+app.post('/game/:id/move', asPlayer(limits.moves), (req, res) => {
+  const active = requireActivePlayer(req, res);
+  if (!active) return;
+  const { game, color: myColor } = active;
+  const { engine } = game;
+  if (myColor !== engine.turn()) {
+    res.status(400).json({ error: 'not your turn' });
+    return;
+  }
+  // Attempt to make the move
+  const mv = readMove(req, res, engine);
+  if (!mv) return;
+  const legal = engine.move(mv);
+  if (!legal) {
+    res.status(400).json({ error: 'illegal move' });
+    return;
+  }
+  afterMove(game, myColor, legal);
+  res.json({
+    ...gameState(game),
+    // The move as executed, including `castle` ('k' or 'q') and
+    // `enPassant` markers so clients can animate the rook or remove the
+    // captured pawn.
+    move: legal,
+  });
+  // Finished games stay in `games` for GAME_RETENTION so clients can
+  // retrieve the final state and updated ratings; the background
+  // sweeper archives them after that.
+});
+
+// POST /game/:id/resign
+// Body: { initData: string }
+// The calling player resigns; the opponent wins by resignation.
+app.post('/game/:id/resign', asPlayer(limits.moves), (req, res) => {
+  const active = requireActivePlayer(req, res);
+  if (!active) return;
+  const { game, color } = active;
+  endGame(game, color === 'w' ? 'b' : 'w', 'resignation');
+  res.json(gameState(game));
+});
+
+// POST /game/:id/draw
+// Body: { initData: string, action: 'offer' | 'accept' | 'decline' }
+// Offers a draw to the opponent, or accepts/declines the opponent's
+// pending offer.  An accepted offer ends the game as a draw by
+// agreement.  A pending offer is also declined implicitly when the
+// opponent makes a move.
+app.post('/game/:id/draw', asPlayer(limits.moves), (req, res) => {
+  const active = requireActivePlayer(req, res);
+  if (!active) return;
+  const { game, color } = active;
+  const { action } = req.body;
+  if (action === 'offer') {
+    if (game.drawOffer) {
+      res.status(400).json({ error: 'a draw offer is already pending' });
+      return;
+    }
+    game.drawOffer = color;
+    games.touch();
+    publish(`game:${game.id}`, 'state', gameState(game));
+  } else if (action === 'accept' || action === 'decline') {
+    if (!game.drawOffer || game.drawOffer === color) {
+      res.status(400).json({ error: 'no draw offer from your opponent' });
+      return;
+    }
+    if (action === 'accept') {
+      endGame(game, null, 'agreement');
+    } else {
+      game.drawOffer = null;
+      games.touch();
+      publish(`game:${game.id}`, 'state', gameState(game));
+    }
+  } else {
+    res.status(400).json({ error: "action must be 'offer', 'accept' or 'decline'" });
+    return;
+  }
+  res.json(gameState(game));
+});
+
+// POST /game/:id/abort
+// Body: { initData: string }
+// Cancels a game before either side has moved.  Aborted games have no
+// winner and do not affect ratings.
+app.post('/game/:id/abort', asPlayer(limits.moves), (req, res) => {
+  const active = requireActivePlayer(req, res);
+  if (!active) return;
+  const { game } = active;
+  if (game.engine.history().length > 0) {
+    res.status(400).json({ error: 'game can only be aborted before the first move' });
+    return;
+  }
+  endGame(game, null, 'aborted', { rated: false });
+  res.json(gameState(game));
+});
+
+// ---------------------------------------------------------------------------
+// Rematches
+//
+// Once a game is over either player can offer a rematch.  When it is
+// accepted a new game starts with the same time control, variant and
+// starting position and the colours swapped.  Successive rematches form
+// a series: each game links to the previous and next one and carries
+// the running score, so clients can show e.g. "Game 3, Ann 1½ – Bob ½".
+// The computer accepts rematches straight away.
+
+/**
+ * Series score including the game's own result once it is over.  Keys
+ * are player ids; wins count 1 and draws ½ (aborted games count nothing).
+ */
+function seriesScore(game) {
+  const { w, b } = game.players;
+  const score = { ...(game.series?.score ?? { [w.id]: 0, [b.id]: 0 }) };
+  const { result } = game;
+  if (result && result.reason !== 'aborted') {
+    if (result.winnerId) {
+      score[result.winnerId] += 1;
+    } else {
+      score[w.id] += 0.5;
+      score[b.id] += 0.5;
+    }
+  }
+  return score;
+}
+
+function seriesInfo(game) {
+  return {
+    number: game.series?.number ?? 1,
+    score: seriesScore(game),
+    previousGameId: game.previousGameId ?? null,
+    nextGameId: game.nextGameId ?? null,
+  };
+}
+
+/**
+ * Start the rematch of a finished game and link the two.  Returns the
+ * new game.
+ */
+function startRematch(game) {
+  const { w, b } = game.players;
+  // Same time control, variant and starting position
+  const settings = {
+    timeControl: game.clock.control,
+    variant: game.variant,
+    startFen: game.variant === 'standard' ? null : game.engine.startFen(),
+  };
+  let next;
+  if (game.bot) {
+    // The human takes the colour the computer had
+    const human = game.bot.color === 'w' ? b : w;
+    next = createBotGame(human, game.bot.level, { ...settings, color: game.bot.color });
+  } else {
+    leaveQueue(w.id);
+    leaveQueue(b.id);
+    next = games.get(createGame(b, w, { ...settings, colorA: 'w' }).gameId);
+  }
+  next.previousGameId = game.id;
+  next.series = { number: seriesInfo(game).number + 1, score: seriesScore(game) };
+  game.nextGameId = next.id;
+  game.rematchOffer = null;
+  games.touch();
+  return next;
+}
+
+// POST /game/:id/rematch
+// Body: { initData: string, action: 'offer' | 'accept' | 'decline' }
+// On a finished game: offers a rematch to the opponent, or accepts or
+// declines the opponent's pending offer.  Offering when the opponent has
+// already offered accepts their offer.  Accepting starts the new game
+// (see startRematch); it fails with 409 while either player is busy in
+// another game.  Returns the finished game's state (whose `series`
+// links to the new game) plus, once accepted, `match` as in POST /match.
+app.post('/game/:id/rematch', asPlayer(limits.matchmaking), (req, res) => {
+  const game = games.get(req.params.id);
+  if (!game) {
+    res.status(404).json({ error: 'game not found' });
+    return;
+  }
+  checkTimeout(game);
+  if (!game.over) {
+    res.status(400).json({ error: 'game is not over yet' });
+    return;
+  }
+  const color = playerColor(game, req.player.id);
+  if (!color) {
+    res.status(403).json({ error: 'you are not a player in this game' });
+    return;
+  }
+  if (game.nextGameId) {
+    res.status(400).json({ error: 'rematch already started', gameId: game.nextGameId });
+    return;
+  }
+  let { action } = req.body;
+  if (!['offer', 'accept', 'decline'].includes(action)) {
+    res.status(400).json({ error: "action must be 'offer', 'accept' or 'decline'" });
+    return;
+  }
+  const opponentOffered = game.rematchOffer && game.rematchOffer !== color;
+  if (action === 'offer' && (opponentOffered || game.bot)) action = 'accept';
+  if (action === 'offer') {
+    if (game.rematchOffer) {
+      res.status(400).json({ error: 'a rematch offer is already pending' });
+      return;
+    }
+    game.rematchOffer = color;
+    games.touch();
+    publish(`game:${game.id}`, 'state', gameState(game));
+    res.json(gameState(game));
+    return;
+  }
+  if (!opponentOffered && !game.bot) {
+    res.status(400).json({ error: 'no rematch offer from your opponent' });
+    return;
+  }
+  if (action === 'decline') {
+    game.rematchOffer = null;
+    games.touch();
+    publish(`game:${game.id}`, 'state', gameState(game));
+    res.json(gameState(game));
+    return;
+  }
+  const busy = Object.values(game.players).some(p => !p.id.startsWith('bot:') && findActiveGame(p.id));
+  if (busy) {
+    res.status(409).json({ error: 'a player is already in another game' });
+    return;
+  }
+  const next = startRematch(game);
+  publish(`game:${game.id}`, 'state', gameState(game));
+  res.json({ ...gameState(game), match: matchInfo(next, req.player.id) });
+});
+
+// PGN result tokens and Termination values for each result reason.
+const PGN_TERMINATION = {
+  checkmate: 'normal',
+  resignation: 'normal',
+  timeout: 'time forfeit',
+  stalemate: 'normal',
+  threefold: 'normal',
+  'fifty-move': 'normal',
+  'insufficient-material': 'normal',
+  agreement: 'normal',
+  aborted: 'abandoned',
+};
+
+/**
+ * Export a game as PGN.  Besides the Seven Tag Roster the headers carry
+ * both players' ratings at the start of the game, the time control and
+ * the termination, plus a non‑standard Reason tag with the exact
+ * `game.result.reason`.  Variant games also get a Variant tag and, like
+ * every game not starting from the standard position, SetUp and FEN.
+ */
+function gamePgn(game) {
+  const { players, result } = game;
+  let pgnResult = '*';
+  if (result) {
+    if (!result.winnerId) pgnResult = result.reason === 'aborted' ? '*' : '1/2-1/2';
+    else pgnResult = result.winnerId === players.w.id ? '1-0' : '0-1';
+  }
+  const control = TIME_CONTROLS[game.clock.control];
+  const date = game.createdAt ? new Date(game.createdAt).toISOString().slice(0, 10).replace(/-/g, '.') : '????.??.??';
+  const headers = {
+    Event: 'TelegramChess game',
+    Site: 'TelegramChess',
+    Date: date,
+    Round: '-',
+    White: players.w.name,
+    Black: players.b.name,
+    Result: pgnResult,
+    WhiteElo: players.w.rating ?? '?',
+    BlackElo: players.b.rating ?? '?',
+    TimeControl: control.perMove ? `1/${control.baseMs / 1000}` : `${control.baseMs / 1000}+${control.incrementMs / 1000}`,
+  };
+  if (result) {
+    headers.Termination = PGN_TERMINATION[result.reason] || 'normal';
+    headers.Reason = result.reason;
+  }
+  // Chess960 games get their Variant tag from the engine
+  if (game.variant === 'fromPosition') headers.Variant = 'From Position';
+  return game.engine.pgn(headers);
+}
+
+// GET /game/:id/pgn
+// Downloads the game as a PGN file (finished or still in progress,
+// including games that have been archived).
+app.get('/game/:id/pgn', (req, res) => {
+  const game = games.get(req.params.id);
+  const archived = archivedGames.get(req.params.id);
+  if (!game && !archived) {
+    res.status(404).json({ error: 'game not found' });
+    return;
+  }
+  if (game) checkTimeout(game);
+  res.type('application/x-chess-pgn');
+  res.attachment(`${req.params.id}.pgn`);
+  res.send(game ? gamePgn(game) : archived.pgn);
+});
+
+// POST /fen/validate
+// Body: { fen: string, chess960?: boolean }
+// Checks a position before it is used for a fromPosition game or
+// challenge.  Returns { valid, errors } where each error has a `code`
+// and `message` (see SimpleChess.validateFen); a valid position also
+// returns its normalised FEN, the side to move and whether the game
+// would already be over.
+app.post('/fen/validate', limits.reads.ip, (req, res) => {
+  const { fen, chess960 = false } = req.body || {};
+  if (typeof fen !== 'string' || fen.length > 128) {
+    res.status(400).json({ error: 'fen must be a string of at most 128 characters' });
+    return;
+  }
+  if (typeof chess960 !== 'boolean') {
+    res.status(400).json({ error: 'chess960 must be a boolean' });
+    return;
+  }
+  const engine = new SimpleChess();
+  const { valid, errors } = engine.load(fen, { chess960 });
+  if (!valid) {
+    res.json({ valid, errors });
+    return;
+  }
+  res.json({ valid, errors, fen: engine.fen(), turn: engine.turn(), check: engine.in_check(), gameOver: engine.game_over() });
 });
 
 // GET /score/:id
-// Returns the current rating of the specified user.
+// Returns the current rating of the specified user, its rating
+// deviation and whether it is still provisional.
 app.get('/score/:id', (req, res) => {
   const id = String(req.params.id);
-  const rating = getRating(id);
-  res.json({ id, rating });
+  const record = getRatingRecord(id);
+  res.json({ id, rating: getRating(id), rd: Math.round(record.rd), provisional: isProvisional(record), games: record.games });
+});
+
+// ---------------------------------------------------------------------------
+// Leaderboard
+//
+// The all‑time board ranks players by current rating.  The weekly and
+// monthly boards rank them by the rating they gained over the last 7 or
+// 30 days, taken from the rating history.  Either way a player appears
+// only once their rating is no longer provisional and they have played
+// at least `minGames` rated games (within the period, for the windowed
+// boards).
+
+const LEADERBOARD_PERIODS = { all: null, week: 7 * 24 * 60 * 60 * 1000, month: 30 * 24 * 60 * 60 * 1000 };
+const LEADERBOARD_MIN_GAMES = 5;
+
+/**
+ * Every rated player's standing for `period`, best first:
+ * [{ id, name, rating, provisional, games, change }].  `games` and
+ * `change` count only the period; `change` is null on the all‑time board.
+ */
+function standings(period) {
+  const windowMs = LEADERBOARD_PERIODS[period];
+  const since = windowMs === null ? -Infinity : Date.now() - windowMs;
+  const rows = [];
+  for (const [id, record] of scoreboard) {
+    const row = { id, name: record.name ?? id, ...ratingSummary(id), games: record.games, change: null };
+    if (windowMs !== null) {
+      const recent = (ratingHistory.get(id) ?? []).filter(h => h.at >= since);
+      row.games = recent.length;
+      row.change = recent.reduce((sum, h) => sum + h.change, 0);
+    }
+    rows.push(row);
+  }
+  const score = row => (row.change === null ? row.rating : row.change);
+  rows.sort((a, b) => score(b) - score(a) || b.rating - a.rating || a.id.localeCompare(b.id));
+  return rows;
+}
+
+// GET /leaderboard?period=&page=&pageSize=&minGames=&player=
+// Returns one page of the leaderboard.  `period` is 'all' (the
+// default), 'week' or 'month'; `page` starts at 1; `pageSize` is 20 by
+// default and at most 100; `minGames` overrides the
+// LEADERBOARD_MIN_GAMES threshold (provisional players are left out
+// regardless).  When `player` is given, `me` holds that player's own
+// entry (with `rank: null` if they are not eligible).
+// Response: { period, page, pageSize, total, pages, entries: [{ rank, id,
+// name, rating, provisional, games, change }], me }
+app.get('/leaderboard', (req, res) => {
+  const { period = 'all', player } = req.query;
+  if (!Object.hasOwn(LEADERBOARD_PERIODS, period)) {
+    res.status(400).json({ error: "period must be 'all', 'week' or 'month'" });
+    return;
+  }
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  const pageSize = req.query.pageSize === undefined ? 20 : Number(req.query.pageSize);
+  const minGames = req.query.minGames === undefined ? LEADERBOARD_MIN_GAMES : Number(req.query.minGames);
+  if (![page, pageSize, minGames].every(Number.isInteger) || page < 1 || pageSize < 1 || minGames < 0) {
+    res.status(400).json({ error: 'page, pageSize and minGames must be positive integers' });
+    return;
+  }
+  const size = Math.min(pageSize, 100);
+  const all = standings(period);
+  const ranked = all.filter(row => !row.provisional && row.games >= minGames).map((row, i) => ({ rank: i + 1, ...row }));
+  let me = null;
+  if (player) {
+    const id = String(player);
+    me = ranked.find(row => row.id === id) ?? null;
+    if (!me) {
+      const row = all.find(r => r.id === id);
+      me = row ? { rank: null, ...row } : { rank: null, id, name: id, ...ratingSummary(id), games: 0, change: period === 'all' ? null : 0 };
+    }
+  }
+  res.json({
+    period,
+    page,
+    pageSize: size,
+    total: ranked.length,
+    pages: Math.ceil(ranked.length / size),
+    entries: ranked.slice((page - 1) * size, page * size),
+    me,
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Player profiles
+
+/**
+ * A finished game from one player's point of view, for their archive.
+ * Takes an archive record (see archiveRecord).
+ */
+function archiveEntry(record, color) {
+  const opponent = record.players[color === 'w' ? 'b' : 'w'];
+  const { result } = record;
+  return {
+    id: record.id,
+    color,
+    opponent: { id: opponent.id, name: opponent.name, rating: opponent.rating },
+    outcome: result.winnerId === null ? 'draw' : result.winnerId === record.players[color].id ? 'win' : 'loss',
+    reason: result.reason,
+    ratingChange: result.ratingChange ? result.ratingChange[color] : null,
+    timeControl: record.timeControl,
+    variant: record.variant ?? 'standard',
+    moveCount: record.moveCount,
+    createdAt: record.createdAt,
+    endedAt: record.endedAt,
+  };
+}
+
+/**
+ * Win/loss/draw counts over archive entries, in total and split by
+ * colour and by termination reason.
+ */
+function playerStats(entries) {
+  const tally = () => ({ win: 0, loss: 0, draw: 0 });
+  const stats = { total: entries.length, ...tally(), byColor: { w: tally(), b: tally() }, byReason: {} };
+  for (const entry of entries) {
+    stats[entry.outcome]++;
+    stats.byColor[entry.color][entry.outcome]++;
+    stats.byReason[entry.reason] ??= tally();
+    stats.byReason[entry.reason][entry.outcome]++;
+  }
+  return stats;
+}
+
+// GET /player/:id?page=&pageSize=
+// Returns a player's profile: current and peak rating, rating history
+// (see ratingHistory above), win/loss/draw statistics over their finished
+// games (archived ones included) and one page of those games, most
+// recent first.  Aborted games are left out, and archived games only
+// go back as far as the archive does (see Background sweeper).  `page`
+// starts at 1; `pageSize` is 20 by default and at most 100.  `puzzles`
+// is the player's puzzle rating (see Puzzles).
+// Returns 404 for a player who has never played, queued or solved a
+// puzzle.
+// Response: { id, name, rating, rd, provisional, peakRating, ratedGames,
+// stats: { total, win, loss, draw, byColor: { w, b }, byReason: { ... } },
+// ratingHistory: [...], archive: { page, pageSize, total, pages, games },
+// puzzles: { rating, rd, provisional, attempted, solved } }
+app.get('/player/:id', (req, res) => {
+  const id = String(req.params.id);
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  const pageSize = req.query.pageSize === undefined ? 20 : Number(req.query.pageSize);
+  if (!Number.isInteger(page) || !Number.isInteger(pageSize) || page < 1 || pageSize < 1) {
+    res.status(400).json({ error: 'page and pageSize must be positive integers' });
+    return;
+  }
+  let name = scoreboard.get(id)?.name;
+  const entries = [];
+  for (const game of games.values()) {
+    const color = playerColor(game, id);
+    if (!color) continue;
+    name ??= game.players[color].name;
+    checkTimeout(game);
+    if (!game.over || game.result.reason === 'aborted') continue;
+    entries.push(archiveEntry(archiveRecord(game), color));
+  }
+  for (const record of archivedGames.values()) {
+    const color = playerColor(record, id);
+    if (!color) continue;
+    name ??= record.players[color].name;
+    entries.push(archiveEntry(record, color));
+  }
+  if (!scoreboard.has(id) && !puzzleScores.has(id) && name === undefined) {
+    res.status(404).json({ error: 'player not found' });
+    return;
+  }
+  entries.sort((a, b) => b.endedAt - a.endedAt);
+  const record = getRatingRecord(id);
+  const history = ratingHistory.get(id) ?? [];
+  const size = Math.min(pageSize, 100);
+  res.json({
+    id,
+    name: name ?? id,
+    rating: getRating(id),
+    rd: Math.round(record.rd),
+    provisional: isProvisional(record),
+    // The rating before the first rated game counts towards the peak too
+    peakRating: Math.max(getRating(id), ...history.flatMap(h => [h.rating, h.rating - h.change])),
+    ratedGames: record.games,
+    stats: playerStats(entries),
+    ratingHistory: history,
+    archive: {
+      page,
+      pageSize: size,
+      total: entries.length,
+      pages: Math.ceil(entries.length / size),
+      games: entries.slice((page - 1) * size, page * size),
+    },
+    puzzles: puzzleSummary(id),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Puzzles
+//
+// Tactics puzzles to solve between games, from the puzzle set read from
+// PUZZLES_FILE (see puzzles.js).  Players play the solver's side one move
+// at a time and the server answers each correct move with the next move
+// of the solution.  Any move that gives checkmate is accepted, even if
+// the solution has a different one; any other wrong move fails the
+// puzzle.  The first attempt at each puzzle is rated as a Glicko‑2 game
+// against the puzzle, whose rating is taken to have a fixed PUZZLE_RD.
+// Puzzle ratings are separate from game ratings.  Solutions are only
+// sent to clients once the puzzle is over.
+
+const PUZZLE_RD = 75;
+
+/**
+ * An engine set up at the puzzle's start with its first `ply` solution
+ * moves played, or null if the FEN or one of those moves is invalid.
+ */
+function puzzleEngine(puzzle, ply) {
+  const engine = new SimpleChess();
+  if (!engine.load(puzzle.fen).valid) return null;
+  for (const move of puzzle.moves.slice(0, ply)) {
+    if (!engine.move(move)) return null;
+  }
+  return engine;
+}
+
+// Puzzles whose solution does not replay on the engine are dropped.
+const puzzles = loadPuzzles(PUZZLES_FILE).filter(puzzle => {
+  if (puzzleEngine(puzzle, puzzle.moves.length)) return true;
+  console.warn(`skipping puzzle ${puzzle.id}: its solution is not legal`);
+  return false;
+});
+const puzzlesById = new Map(puzzles.map(puzzle => [puzzle.id, puzzle]));
+
+function uciOf(move) {
+  return move.from + move.to + (move.promotion ?? '');
+}
+
+function puzzleRecord(userId) {
+  // Return the player's puzzle record, or a fresh one if not yet set.
+  return puzzleScores.get(userId) ?? { ...newRating(), done: {}, current: null };
+}
+
+function puzzleSummary(userId) {
+  const record = puzzleRecord(userId);
+  const outcomes = Object.values(record.done);
+  return {
+    rating: Math.round(record.rating),
+    rd: Math.round(record.rd),
+    provisional: isProvisional(record),
+    attempted: outcomes.length,
+    solved: outcomes.filter(outcome => outcome === 'solved').length,
+  };
+}
+
+/**
+ * A puzzle as shown to clients, without its solution.  Given a player,
+ * also says how their first attempt went (`outcome`, null if they have
+ * not finished it) and, if they are in the middle of it, the solution
+ * moves played so far and the resulting position (`progress`).
+ */
+function puzzleView(puzzle, userId) {
+  const view = {
+    id: puzzle.id,
+    fen: puzzle.fen,
+    turn: puzzleEngine(puzzle, 0).turn(),
+    rating: puzzle.rating,
+    themes: puzzle.themes,
+    // Number of moves the solver has to find
+    length: (puzzle.moves.length + 1) / 2,
+  };
+  if (userId === undefined) return view;
+  const record = puzzleRecord(userId);
+  view.outcome = record.done[puzzle.id] ?? null;
+  const { current } = record;
+  if (current?.puzzleId === puzzle.id) {
+    view.progress = { moves: puzzle.moves.slice(0, current.ply), fen: puzzleEngine(puzzle, current.ply).fen() };
+  }
+  return view;
+}
+
+// GET /puzzle/daily?player=
+// Returns the puzzle of the day, the same for everyone until midnight
+// UTC.  With `player`, includes how that player is doing on it.
+// Response: { date, puzzle: { id, fen, turn, rating, themes, length,
+// outcome?, progress? } }
+app.get('/puzzle/daily', (req, res) => {
+  const puzzle = dailyPuzzle(puzzles);
+  if (!puzzle) {
+    res.status(503).json({ error: 'no puzzles available' });
+    return;
+  }
+  const { player } = req.query;
+  res.json({ date: dayKey(), puzzle: puzzleView(puzzle, player ? String(player) : undefined) });
+});
+
+// GET /puzzle/next?player=
+// Picks a puzzle close to the player's puzzle rating, preferring ones
+// they have not tried yet.  Without `player` the pick is made for a new
+// player.  Response: { puzzle (as in GET /puzzle/daily), player: { rating,
+// rd, provisional, attempted, solved } | null }
+app.get('/puzzle/next', (req, res) => {
+  const id = req.query.player ? String(req.query.player) : undefined;
+  const record = puzzleRecord(id);
+  const puzzle = pickPuzzle(puzzles, record.rating, new Set(Object.keys(record.done)));
+  if (!puzzle) {
+    res.status(503).json({ error: 'no puzzles available' });
+    return;
+  }
+  res.json({ puzzle: puzzleView(puzzle, id), player: id === undefined ? null : puzzleSummary(id) });
 });
 
+// POST /puzzle/:id/move
+// Body: { initData: string, move: string }
+//    or { initData: string, from: string, to: string, promotion?: 'q'|'r'|'b'|'n' }
+// Plays the calling player's next move in a puzzle, given like in POST
+// /game/:id/move.  Moving in another puzzle than the one in progress
+// starts that puzzle from the beginning.  A correct move is answered
+// with the opponent's reply from the solution.  Once the puzzle is
+// solved or failed the response includes the solution and, for a first
+// attempt, the change in puzzle rating (null otherwise).
+// Response: { puzzleId, correct, status: 'playing' | 'solved' | 'failed',
+// move: { san, uci }, reply: { san, uci } | null, fen, player: { rating,
+// ... as in GET /puzzle/next }, solution?, ratingChange? }
+app.post('/puzzle/:id/move', asPlayer(limits.moves), (req, res) => {
+  const puzzle = puzzlesById.get(req.params.id);
+  if (!puzzle) {
+    res.status(404).json({ error: 'puzzle not found' });
+    return;
+  }
+  const { id } = req.player;
+  const record = puzzleRecord(id);
+  const ply = record.current?.puzzleId === puzzle.id ? record.current.ply : 0;
+  const engine = puzzleEngine(puzzle, ply);
+  const mv = readMove(req, res, engine);
+  if (!mv) return;
+  const played = engine.move(mv);
+  if (!played) {
+    res.status(400).json({ error: 'illegal move' });
+    return;
+  }
+  const correct = engine.in_checkmate() || uciOf(played) === puzzle.moves[ply];
+  let status = 'failed';
+  let reply = null;
+  if (correct) {
+    status = engine.in_checkmate() || ply + 1 === puzzle.moves.length ? 'solved' : 'playing';
+    if (status === 'playing') reply = engine.move(puzzle.moves[ply + 1]);
+  }
+  const over = status !== 'playing';
+  const rated = over && !(puzzle.id in record.done);
+  const updated = { ...record, current: over ? null : { puzzleId: puzzle.id, ply: ply + 2 } };
+  if (rated) {
+    Object.assign(updated, rate(record, { rating: puzzle.rating, rd: PUZZLE_RD }, status === 'solved' ? 1 : 0));
+    updated.done = { ...record.done, [puzzle.id]: status };
+  }
+  puzzleScores.set(id, updated);
+  const response = {
+    puzzleId: puzzle.id,
+    correct,
+    status,
+    move: { san: played.san, uci: uciOf(played) },
+    reply: reply && { san: reply.san, uci: uciOf(reply) },
+    fen: engine.fen(),
+    player: puzzleSummary(id),
+  };
+  if (over) {
+    response.solution = puzzle.moves;
+    response.ratingChange = rated ? Math.round(updated.rating) - Math.round(record.rating) : null;
+  }
+  res.json(response);
+});
+
+// ---------------------------------------------------------------------------
+// Notifications
+//
+// With BOT_TOKEN set, players get a message from the bot when a match
+// is found, when it is their turn and when a game ends, unless they
+// muted that kind of message.  Without a token there is no bot to send
+// from and `notifier` is null.
+
+const notifier = BOT_TOKEN
+  ? new Notifier({
+      token: BOT_TOKEN,
+      apiBase: TELEGRAM_API_BASE,
+      isMuted: (userId, kind) => Boolean(notificationPrefs.get(userId)?.[kind]),
+      gameLink: gameId => startAppLink(`game_${gameId}`),
+    })
+  : null;
+
+function notificationSettings(userId) {
+  const muted = notificationPrefs.get(userId) ?? {};
+  return {
+    id: userId,
+    enabled: Boolean(notifier),
+    muted: Object.fromEntries(NOTIFICATION_KINDS.map(kind => [kind, Boolean(muted[kind])])),
+  };
+}
+
+// GET /notifications/:id
+// Returns a player's notification settings.
+// Response: { id, enabled, muted: { match, turn, result } } where
+// `enabled` says whether the server sends notifications at all.
+app.get('/notifications/:id', (req, res) => {
+  res.json(notificationSettings(String(req.params.id)));
+});
+
+// POST /notifications
+// Body: { initData: string, muted: { match?: boolean, turn?: boolean, result?: boolean } }
+// Mutes or unmutes kinds of notifications for the calling player; kinds
+// left out keep their current setting.  Responds like GET /notifications/:id.
+app.post('/notifications', asPlayer(limits.matchmaking), (req, res) => {
+  const { muted } = req.body || {};
+  if (!muted || typeof muted !== 'object' || Array.isArray(muted)) {
+    res.status(400).json({ error: 'muted must be an object', kinds: NOTIFICATION_KINDS });
+    return;
+  }
+  for (const [kind, value] of Object.entries(muted)) {
+    if (!NOTIFICATION_KINDS.includes(kind) || typeof value !== 'boolean') {
+      res.status(400).json({ error: `invalid notification setting: ${kind}`, kinds: NOTIFICATION_KINDS });
+      return;
+    }
+  }
+  const { id } = req.player;
+  const prefs = { ...notificationPrefs.get(id) };
+  for (const [kind, value] of Object.entries(muted)) {
+    if (value) prefs[kind] = true;
+    else delete prefs[kind];
+  }
+  if (Object.keys(prefs).length) notificationPrefs.set(id, prefs);
+  else notificationPrefs.delete(id);
+  res.json(notificationSettings(id));
+});
+
+// ---------------------------------------------------------------------------
+// Background sweeper
+//
+// Flag timers normally end games that run out of time, but the sweeper
+// checks every live game's clock as well so none is left hanging (for
+// example if a timer was lost).  Finished games are archived once they
+// have been over for GAME_RETENTION: the full game state is dropped from
+// `games` and only a compact record with the PGN is kept in
+// `archivedGames`.  Aborted games are not worth keeping and are simply
+// evicted.  Archived games are in turn dropped once they have been over
+// for ARCHIVE_RETENTION, and the oldest go first when there are more
+// than ARCHIVE_MAX_GAMES, so the archive cannot grow without bound.
+// Ratings and rating history are kept regardless.  The sweeper also
+// deletes old challenges (see sweepChallenges).
+
+const GAME_SWEEP_MS = 60 * 1000;
+
+/**
+ * Compact record of a finished game, as kept in archivedGames.
+ */
+function archiveRecord(game) {
+  return {
+    id: game.id,
+    players: game.players,
+    result: game.result,
+    timeControl: game.clock.control,
+    variant: game.variant,
+    moveCount: game.moves.length,
+    createdAt: game.createdAt,
+    endedAt: game.endedAt ?? game.lastMove,
+  };
+}
+
+function sweepGames() {
+  const cutoff = Date.now() - GAME_RETENTION * 1000;
+  for (const game of games.values()) {
+    checkTimeout(game);
+    if (!game.over || (game.endedAt ?? game.lastMove) > cutoff) continue;
+    if (game.result.reason !== 'aborted') {
+      archivedGames.set(game.id, { ...archiveRecord(game), pgn: gamePgn(game) });
+    }
+    games.delete(game.id);
+  }
+  const archiveCutoff = Date.now() - ARCHIVE_RETENTION * 1000;
+  let excess = archivedGames.size - ARCHIVE_MAX_GAMES;
+  for (const record of archivedGames.values()) {
+    // Oldest first: Map order is the order games were archived in
+    if (excess > 0) excess--;
+    else if (record.endedAt > archiveCutoff) continue;
+    archivedGames.delete(record.id);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Startup and shutdown
+//
+// Load persisted state before accepting requests.  Clocks of restored
+// live games kept running while the server was down, so any that ran
+// out are flagged as soon as their timers are re‑armed.
+scoreboard.load();
+ratingHistory.load();
+notificationPrefs.load();
+puzzleScores.load();
+queue.load();
+challenges.load();
+games.load();
+archivedGames.load();
+for (const game of games.values()) {
+  if (!game.over) indexActiveGame(game);
+  scheduleFlag(game);
+  scheduleBotMove(game);
+}
+for (const entry of queue.values()) {
+  if (entry.botFallback) armBotFallback(entry);
+}
+setInterval(sweepQueue, QUEUE_SWEEP_MS);
+sweepGames();
+sweepChallenges();
+setInterval(() => {
+  sweepGames();
+  sweepChallenges();
+}, GAME_SWEEP_MS);
+
+// Write pending changes before exiting so a deploy loses nothing.
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    scoreboard.flush();
+    ratingHistory.flush();
+    notificationPrefs.flush();
+    puzzleScores.flush();
+    queue.flush();
+    challenges.flush();
+    games.flush();
+    archivedGames.flush();
+    process.exit(0);
+  });
+}
+
 // Start server
 app.listen(port, () => {
   console.log(`Server is running on :${port}`);
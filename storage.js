@@ -0,0 +1,158 @@
+/*
+ * Pluggable persistence
+ *
+ * The server keeps its state (ratings, games and the match queue) in
+ * PersistentMap instances.  A PersistentMap behaves like a normal Map
+ * but hands its contents to a storage driver whenever it changes, so the
+ * same state can be loaded again after a restart.  Writes are debounced:
+ * any number of changes within SAVE_DELAY_MS result in a single save.
+ *
+ * Drivers implement two synchronous methods:
+ *   load(name)          -> array of [key, value] entries (or [])
+ *   save(name, entries) -> persist the entries of the named collection
+ *
+ * MemoryDriver keeps everything in process memory (the default);
+ * FileDriver writes one JSON file per collection.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const SAVE_DELAY_MS = 200;
+
+/**
+ * Driver that keeps collections in memory.  Nothing survives a restart
+ * of the process, but a PersistentMap reloaded from the same driver
+ * instance sees the saved state.
+ */
+export class MemoryDriver {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  load(name) {
+    return this.collections.get(name) ?? [];
+  }
+
+  save(name, entries) {
+    this.collections.set(name, entries);
+  }
+}
+
+/**
+ * Driver that stores each collection as `<dir>/<name>.json`.  Files are
+ * written to a temporary name first and then renamed, so a crash during
+ * a save never leaves a truncated file behind.
+ */
+export class FileDriver {
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  _file(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  load(name) {
+    try {
+      return JSON.parse(fs.readFileSync(this._file(name), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+
+  save(name, entries) {
+    const file = this._file(name);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(entries));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+}
+
+/**
+ * Create the driver named by `name` ('memory' or 'file').
+ *
+ * @param {string} name Driver name, usually from the STORAGE_DRIVER env
+ * @param {object} [options] { dir } data directory for the file driver
+ */
+export function createDriver(name, options = {}) {
+  if (name === 'file') return new FileDriver(options.dir || 'data');
+  if (name === 'memory' || !name) return new MemoryDriver();
+  throw new Error(`unknown storage driver: ${name}`);
+}
+
+/**
+ * A Map whose contents are persisted through a storage driver.  set(),
+ * delete() and clear() schedule a save automatically; code that mutates
+ * a stored value in place must call touch() afterwards.  Values pass
+ * through `serialize` before saving and `deserialize` when loading, for
+ * values (such as games) that are not plain JSON.
+ */
+export class PersistentMap extends Map {
+  constructor(driver, name, { serialize = v => v, deserialize = v => v } = {}) {
+    super();
+    this.driver = driver;
+    this.name = name;
+    this.serialize = serialize;
+    this.deserialize = deserialize;
+    this._saveTimer = null;
+  }
+
+  /**
+   * Replace the contents with what the driver has stored.  Called once
+   * at startup, after everything `deserialize` depends on is defined.
+   * Values that `deserialize` rejects by throwing are skipped with a
+   * warning, so one bad entry cannot stop the server from starting.
+   */
+  load() {
+    super.clear();
+    for (const [key, value] of this.driver.load(this.name)) {
+      let restored;
+      try {
+        restored = this.deserialize(value);
+      } catch (e) {
+        console.warn(`skipping ${this.name} entry ${key}: ${e.message}`);
+        continue;
+      }
+      super.set(key, restored);
+    }
+    return this;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.touch();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) this.touch();
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.touch();
+  }
+
+  /**
+   * Schedule a save of the whole collection.
+   */
+  touch() {
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+  }
+
+  /**
+   * Save the collection now, cancelling any pending save.
+   */
+  flush() {
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    const entries = [];
+    for (const [key, value] of this) entries.push([key, this.serialize(value)]);
+    this.driver.save(this.name, entries);
+  }
+}